@@ -0,0 +1,1762 @@
+/* core.js - Emojiton headless core
+   DOM-free model shared by the browser UI (script.js) and Node tooling (tools/validate-map.js):
+   - tile semantics & seeded random streams
+   - GridModel (cells only; views subclass it), pathfinders + AStar, traffic simulation
+   - level objectives, command-stack Timeline, save serialization, map diff
+   - GIF encoder for animated exports
+   Browser: loaded before script.js as window.EmojitonCore. Node: require('./core.js').
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.EmojitonCore = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+'use strict';
+
+const clamp = (v,a,b) => Math.max(a, Math.min(b, v));
+const now = () => Date.now();
+
+/* ======================
+   Seeded random
+   - mulberry32 streams derived from one seed, one per consumer ('map', 'tool', 'sim', 'matrix', 'bench'),
+     so painting with 🎲 does not shift the commuter sequence
+   - a seed is a 32-bit number or any text (hashed); stream positions are saved with the map
+   ====================== */
+function hashSeed(text){ // FNV-1a
+  let h = 0x811c9dc5;
+  for(let i=0;i<text.length;i++){ h ^= text.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return h >>> 0;
+}
+function parseSeed(v){
+  const s = String(v).trim();
+  return /^\d+$/.test(s) && Number(s) <= 0xffffffff ? Number(s) : hashSeed(s);
+}
+function mulberry32(state){
+  const next = () => {
+    let t = (next.state = (next.state + 0x6D2B79F5) | 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  next.state = state | 0;
+  return next;
+}
+// a fresh Rng service; the browser keeps one for the session
+function createRng(seed=0){
+  const rng = {
+    seed: 0,
+    streams: new Map(),
+    setSeed(v){ this.seed = parseSeed(v); this.streams.clear(); return this.seed; },
+    stream(name){
+      let s = this.streams.get(name);
+      if(!s){ s = mulberry32(hashSeed(this.seed + ':' + name)); this.streams.set(name, s); }
+      return s;
+    },
+    random(name){ return this.stream(name)(); },
+    int(name, n){ return Math.floor(this.random(name) * n); },
+    snapshot(){
+      const streams = {};
+      for(const [k, s] of this.streams) streams[k] = s.state;
+      return {seed: this.seed, streams};
+    },
+    restore(snap){
+      if(!snap || !Number.isInteger(snap.seed)) return false;
+      this.setSeed(snap.seed);
+      for(const k in snap.streams || {}) this.stream(k).state = snap.streams[k] | 0;
+      return true;
+    }
+  };
+  rng.setSeed(seed);
+  return rng;
+}
+
+/* ======================
+   Tile semantics
+   - metadata per emoji: category, passable, move cost, capacity, label
+   - `tiles` is the live table; the browser wraps it in a persisting Proxy (TileMeta)
+   - pathfinding, objectives and the simulation read tiles only through tileInfo()
+   ====================== */
+const TILE_CATEGORIES = ['residential','work','road','nature','vehicle','other'];
+const TILE_DEFAULT = {category:'other', passable:false, cost:1, capacity:0, label:''};
+const TILE_EMPTY = {category:'', passable:true, cost:1, capacity:0, label:'Empty'};
+const defaultTiles = {
+  '🏠':{category:'residential', capacity:4, label:'House'},
+  '🏡':{category:'residential', capacity:3, label:'Cottage'},
+  '🏘️':{category:'residential', capacity:10, label:'Houses'},
+  '🏢':{category:'work', capacity:20, label:'Office'},
+  '🏬':{category:'work', capacity:15, label:'Department store'},
+  '🏪':{category:'work', capacity:5, label:'Shop'},
+  '🏥':{category:'work', capacity:12, label:'Hospital'},
+  '🏫':{category:'work', capacity:10, label:'School'},
+  '🏭':{category:'work', cost:1.3, capacity:25, label:'Factory'},
+  '🛣️':{category:'road', passable:true, cost:0.7, capacity:4, label:'Road'},
+  '🅿️':{category:'road', passable:true, cost:0.7, capacity:6, label:'Parking'},
+  '🌳':{category:'nature', cost:1.15, label:'Tree'},
+  '🌲':{category:'nature', cost:1.15, label:'Pine'},
+  '🌻':{category:'nature', label:'Sunflower'},
+  '🐄':{category:'nature', label:'Cow'},
+  '🚗':{category:'vehicle', passable:true, cost:1.2, capacity:1, label:'Car'},
+  '🚲':{category:'vehicle', passable:true, capacity:1, label:'Bike'},
+  '🛸':{category:'vehicle', passable:true, cost:1.2, capacity:1, label:'UFO'},
+  '🚜':{category:'vehicle', label:'Tractor'},
+  '🏗️':{cost:1.3, label:'Construction'},
+  '🛒':{label:'Market'},
+  '🚉':{label:'Station'}
+};
+const tiles = Object.assign({}, defaultTiles);
+function tileInfo(tile){
+  if(!tile) return TILE_EMPTY;
+  return Object.assign({}, TILE_DEFAULT, tiles[tile] || tiles[normalizeEmoji(tile)]);
+}
+const isHouse = v => tileInfo(v).category === 'residential';
+const isWork = v => tileInfo(v).category === 'work';
+/* ======================
+   Emoji graphemes
+   - user text is split into grapheme clusters (Intl.Segmenter), so a ZWJ family or a flag is one tile
+   - normalised form: no text-style selector (FE0E), FE0F after every pictograph that lacks emoji
+     presentation (🛣 → 🛣️), matching the keys of defaultTiles
+   ====================== */
+const VS_TEXT = '\uFE0E', VS_EMOJI = '\uFE0F';
+const RE_PICTO = /\p{Extended_Pictographic}/u, RE_PRESENT = /\p{Emoji_Presentation}/u, RE_MODIFIER = /\p{Emoji_Modifier}/u;
+const RE_EMOJI = /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20E3/u, RE_WORD = /[\p{L}\p{N}\p{P}]/u;
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter ? new Intl.Segmenter(undefined, {granularity: 'grapheme'}) : null;
+function splitGraphemes(text){
+  text = String(text || '');
+  if(graphemeSegmenter) return Array.from(graphemeSegmenter.segment(text), s => s.segment);
+  // no Segmenter: glue joiners, selectors, modifiers, keycaps and flag pairs onto the previous code point
+  const out = [], RI = /^\p{Regional_Indicator}$/u;
+  let join = false;
+  for(const ch of text){
+    const last = out[out.length - 1];
+    const glue = /[\u200D\uFE00-\uFE0F\u20E3\u{E0020}-\u{E007F}]/u.test(ch) || RE_MODIFIER.test(ch) || (RI.test(ch) && RI.test(last));
+    if(out.length && (glue || join)) out[out.length - 1] += ch; else out.push(ch);
+    join = ch === '\u200D';
+  }
+  return out;
+}
+function normalizeEmoji(g){
+  const cps = Array.from(String(g).normalize('NFC')).filter(ch => ch !== VS_TEXT && ch !== VS_EMOJI);
+  let out = '';
+  cps.forEach((ch, i) => {
+    out += ch;
+    const next = cps[i + 1];
+    if(RE_PICTO.test(ch) && !RE_PRESENT.test(ch) && !(next && RE_MODIFIER.test(next))) out += VS_EMOJI;
+    else if(/^[0-9#*]$/.test(ch) && next === '\u20E3') out += VS_EMOJI;
+  });
+  return out;
+}
+// one grapheme that renders as an emoji: a pictograph, a flag or a keycap, and no letters, digits or punctuation outside a keycap
+function isEmojiGrapheme(g){
+  if(!g || splitGraphemes(g).length !== 1 || !RE_EMOJI.test(g)) return false;
+  return !RE_WORD.test(g.replace(/^[0-9#*]\uFE0F?\u20E3$/u, '\u20E3'));
+}
+// pasted text → {emojis, rejected}; emojis normalised and deduplicated in order, other text kept as runs ("hello")
+function parseEmojiInput(text){
+  const emojis = [], rejected = [];
+  let run = '';
+  const flush = () => { if(run && !rejected.includes(run)) rejected.push(run); run = ''; };
+  for(const g of splitGraphemes(text)){
+    if(!g.trim()){ flush(); continue; }
+    const e = normalizeEmoji(g);
+    if(!isEmojiGrapheme(e)){ run += g; continue; }
+    flush();
+    if(!emojis.includes(e)) emojis.push(e);
+  }
+  flush();
+  return {emojis, rejected};
+}
+
+// metadata for a list of emojis, as stored in packs and saves
+function packTiles(list){
+  const out = {};
+  for(const e of list) out[e] = tileInfo(e);
+  return out;
+}
+// merge saved metadata into a table (the browser passes its persisting Proxy)
+function applyTiles(map, table=tiles){
+  if(!map || typeof map !== 'object') return;
+  for(const k in map) table[k] = Object.assign({}, TILE_DEFAULT, map[k]);
+}
+
+/* ======================
+   Grid model
+   - rows × cols of emoji strings ('' = empty), row-major, stored per layer (bottom first: terrain, structures,
+     decorations by default); `cells` is the composite — the topmost non-empty value of any layer, hidden or not —
+     and is what pathfinding, traffic, objectives and exports read
+   - edits go to one layer (the active one unless given); visibility and opacity only affect drawing, lock only
+     the editor
+   - every change to the composite bumps `revision`; `edits` keeps the recent per-cell changes so caches can tell what changed
+   - the hooks at the bottom are no-ops here; the browser Grid overrides them to drive its view
+   ====================== */
+const MAX_GRID_DIM = 256;
+const EDIT_LOG_MAX = 4096;
+const DEFAULT_LAYERS = ['terrain', 'structures', 'decorations'];
+const MAX_LAYERS = 8;
+
+function newLayer(name, size, props){
+  return Object.assign({name, visible: true, locked: false, opacity: 1}, props, {name, cells: new Array(size).fill('')});
+}
+
+// per-cell topmost non-empty value of [cells, ...] (bottom first)
+function composeLayers(layerCells, size){
+  const out = new Array(size).fill('');
+  for(const cells of layerCells) for(let i=0;i<size;i++) if(cells[i]) out[i] = cells[i];
+  return out;
+}
+
+class GridModel {
+  constructor(rows=12, cols=16){
+    this.rows = rows; this.cols = cols;
+    this.cells = new Array(rows * cols).fill('');
+    this.layers = DEFAULT_LAYERS.map(name => newLayer(name, rows * cols));
+    this.active = 0; // layer that edits go to
+    this.revision = 0;
+    this.edits = []; // [{rev, i, prev, next}] or {rev, all:true} for bulk writes; one entry per revision
+  }
+
+  index(r,c){ return r * this.cols + c; }
+  inBounds(r,c){ return r >= 0 && c >= 0 && r < this.rows && c < this.cols; }
+
+  get(r,c){ return this.cells[this.index(r,c)]; }
+  layerGet(r,c, layer=this.active){ return this.layers[layer].cells[this.index(r,c)]; }
+  set(r,c,val, silent=false, layer=this.active){
+    const i = this.index(r,c);
+    (this.layers[layer] || this.layers[0]).cells[i] = val || '';
+    this.recompose(i);
+    this.cellChanged(i);
+    if(!silent) this.changed();
+  }
+
+  multiSet(updates, layer=this.active){ // updates: [{r,c,val}]
+    for(const u of updates) this.set(u.r,u.c,u.val,true,layer);
+    this.changed();
+  }
+
+  // bottom layer filled with val, the others emptied
+  fillAll(val){
+    this.layers.forEach((l, k) => l.cells.fill(k ? '' : val || ''));
+    this.cells.fill(val || '');
+    this.bulkChanged();
+  }
+
+  clear(){ this.fillAll(''); }
+
+  // replace every value in place (same dimensions): a flat map goes to the bottom layer, others emptied
+  setCells(cells){
+    this.setLayerCells([cells]);
+  }
+  // [cells per layer] (missing layers emptied)
+  setLayerCells(list){
+    this.layers.forEach((l, k) => { for(let i=0;i<l.cells.length;i++) l.cells[i] = (list[k] && list[k][i]) || ''; });
+    this.cells = composeLayers(this.layers.map(l => l.cells), this.cells.length);
+    this.bulkChanged();
+  }
+  layerCells(){ return this.layers.map(l => l.cells.slice()); }
+
+  setLayerProps(k, props){
+    const l = this.layers[k];
+    if(!l) return;
+    for(const key of ['visible', 'locked', 'opacity']) if(key in props) l[key] = props[key];
+    this.layersChanged();
+  }
+
+  // withProps: include visibility/lock/opacity (saves); timeline snapshots leave them out so seeking keeps the current ones
+  toJSON(withProps=false){
+    return {rows:this.rows, cols:this.cols, cells:this.cells.slice(), layers: this.layers.map(l => withProps
+      ? {name: l.name, cells: l.cells.slice(), visible: l.visible, locked: l.locked, opacity: l.opacity}
+      : {name: l.name, cells: l.cells.slice()})};
+  }
+  // a payload without layers (older saves, bare maps) lands on the bottom default layer; layer props missing
+  // from the payload are kept from the same-named current layer
+  loadJSON(obj){
+    const size = obj.rows * obj.cols, props = name => { const l = this.layers.find(x => x.name === name); return l && {visible: l.visible, locked: l.locked, opacity: l.opacity}; };
+    const src = obj.layers || DEFAULT_LAYERS.map((name, k) => ({name, cells: k ? null : obj.cells}));
+    this.layers = src.map(l => {
+      const layer = newLayer(l.name, size, props(l.name));
+      for(const key of ['visible', 'locked', 'opacity']) if(l[key] !== undefined) layer[key] = l[key];
+      if(l.cells) layer.cells = l.cells.map(v => v || '');
+      return layer;
+    });
+    this.rows = obj.rows; this.cols = obj.cols;
+    this.cells = composeLayers(this.layers.map(l => l.cells), size);
+    this.active = Math.min(this.active, this.layers.length - 1);
+    this.touch(-1);
+    this.reshaped();
+    this.changed();
+  }
+
+  recompose(i){
+    let v = '';
+    for(const l of this.layers) if(l.cells[i]) v = l.cells[i];
+    const prev = this.cells[i];
+    if(prev === v) return;
+    this.cells[i] = v;
+    this.touch(i, prev, v);
+  }
+  bulkChanged(){
+    this.touch(-1);
+    this.cellsChanged();
+    this.changed();
+  }
+
+  // new revision; i < 0 records a bulk write (anything may differ)
+  touch(i, prev, next){
+    this.revision++;
+    this.edits.push(i < 0 ? {rev: this.revision, all: true} : {rev: this.revision, i, prev, next});
+    if(this.edits.length > EDIT_LOG_MAX) this.edits.splice(0, EDIT_LOG_MAX / 2);
+  }
+  // writes made after revision `since`, or null when the log no longer reaches back that far
+  editsSince(since){
+    if(since >= this.revision) return [];
+    const first = this.edits.length ? this.edits[0].rev : this.revision + 1;
+    return since + 1 < first ? null : this.edits.slice(since + 1 - first);
+  }
+
+  cellChanged(i){}  // one cell written (in any layer)
+  cellsChanged(){}  // many cells written, same shape
+  reshaped(){}      // dimensions/cells replaced
+  layersChanged(){} // visibility, lock or opacity changed
+  changed(){}       // after any edit batch
+}
+
+function resizeCells(grid, rows, cols, anchor='c'){
+  const fy = anchor[0] === 't' ? 0 : anchor[0] === 'b' ? 1 : 0.5;
+  const fx = /l$/.test(anchor) ? 0 : /r$/.test(anchor) ? 1 : 0.5;
+  const dr = Math.floor((rows - grid.rows) * fy), dc = Math.floor((cols - grid.cols) * fx);
+  const cells = new Array(rows * cols).fill('');
+  for(let r=0;r<grid.rows;r++){
+    for(let c=0;c<grid.cols;c++){
+      const nr = r + dr, nc = c + dc;
+      if(nr >= 0 && nc >= 0 && nr < rows && nc < cols) cells[nr * cols + nc] = grid.cells[r * grid.cols + c] || '';
+    }
+  }
+  return cells;
+}
+
+// a map JSON (with or without layers) at a new size, every layer pinned to the same anchor
+function resizeMap(grid, rows, cols, anchor='c'){
+  const out = {rows, cols, cells: resizeCells(grid, rows, cols, anchor)};
+  if(grid.layers) out.layers = grid.layers.map(l => Object.assign({}, l, {cells: resizeCells({rows: grid.rows, cols: grid.cols, cells: l.cells}, rows, cols, anchor)}));
+  return out;
+}
+
+/* ======================
+   Shared path cost model
+   - searchGrid (A*) is the reference search; the other pathfinders below share its cost model
+   - weights: per-cell cost multiplier for entering that cell, 0 = blocked
+   - octile heuristic scaled by the cheapest weight, so it stays admissible & consistent
+   - the goal cell may always be entered (destinations are buildings)
+   - an optional trace object collects the expansion order and every open-set push, for the path debugger
+   ====================== */
+function tileWeight(tile){
+  return tileInfo(tile).cost || 1;
+}
+
+// entry weight of a tile as the main-thread search sees it, 0 = blocked
+function cellWeight(tile){
+  return tileInfo(tile).passable ? tileWeight(tile) : 0;
+}
+
+function octile(dr, dc, diagonal){
+  if(!diagonal) return dr + dc;
+  return Math.max(dr, dc) + (Math.SQRT2 - 1) * Math.min(dr, dc);
+}
+
+// binary min-heap of (priority, index) with lazy deletion; ties broken on index so every engine pops in the same order
+function minHeap(){
+  const hk = [], hf = [];
+  const before = (fa, ka, fb, kb) => fa < fb || (fa === fb && ka < kb);
+  return {
+    get size(){ return hk.length; },
+    peek(){ return hf[0]; },
+    push(k, pri){
+      let i = hk.length; hk.push(k); hf.push(pri);
+      while(i > 0){
+        const p = (i - 1) >> 1;
+        if(!before(pri, k, hf[p], hk[p])) break;
+        hk[i] = hk[p]; hf[i] = hf[p]; i = p;
+      }
+      hk[i] = k; hf[i] = pri;
+    },
+    pop(){
+      const top = hk[0], k = hk.pop(), pri = hf.pop(), n = hk.length;
+      if(n){
+        let i = 0;
+        while(true){
+          let ch = 2 * i + 1;
+          if(ch >= n) break;
+          if(ch + 1 < n && before(hf[ch + 1], hk[ch + 1], hf[ch], hk[ch])) ch++;
+          if(!before(hf[ch], hk[ch], pri, k)) break;
+          hk[i] = hk[ch]; hf[i] = hf[ch]; i = ch;
+        }
+        hk[i] = k; hf[i] = pri;
+      }
+      return top;
+    }
+  };
+}
+
+// cheapest entry weight on the map, counting the goal at the weight it is entered with (1 when it cannot be
+// walked); scales the heuristics so they stay admissible
+function minWeight(weights, goalIdx){
+  let minW = weights[goalIdx] || 1;
+  for(let i=0;i<weights.length;i++) if(weights[i] > 0 && weights[i] < minW) minW = weights[i];
+  return minW;
+}
+
+// trace (optional) receives: order = cells in the order they were closed; pushes = flat [step, cell, g, f, ...]
+// where step is how many cells were closed when the push happened; found = goal reached
+// hScale 0 turns A* into Dijkstra
+function searchGrid(rows, cols, weights, start, goal, diagonal, trace, hScale=1){
+  const size = rows * cols;
+  const startIdx = start.r * cols + start.c, goalIdx = goal.r * cols + goal.c;
+  const minW = minWeight(weights, goalIdx) * hScale;
+  const h = (r, c) => octile(Math.abs(r - goal.r), Math.abs(c - goal.c), diagonal) * minW;
+
+  const g = new Float64Array(size).fill(Infinity);
+  const came = new Int32Array(size).fill(-1);
+  const closed = new Uint8Array(size);
+  const heap = minHeap();
+
+  const dirs = diagonal ? [[1,0],[-1,0],[0,1],[0,-1],[1,1],[1,-1],[-1,1],[-1,-1]] : [[1,0],[-1,0],[0,1],[0,-1]];
+  const order = trace ? (trace.order = []) : null, pushes = trace ? (trace.pushes = []) : null;
+  g[startIdx] = 0; heap.push(startIdx, h(start.r, start.c));
+  if(trace) pushes.push(0, startIdx, 0, h(start.r, start.c));
+  while(heap.size){
+    const cur = heap.pop();
+    if(closed[cur]) continue;
+    if(cur === goalIdx) break;
+    closed[cur] = 1;
+    if(trace) order.push(cur);
+    const cr = (cur / cols) | 0, cc = cur % cols;
+    for(const d of dirs){
+      const nr = cr + d[0], nc = cc + d[1];
+      if(nr < 0 || nc < 0 || nr >= rows || nc >= cols) continue;
+      const ni = nr * cols + nc;
+      const w = ni === goalIdx ? (weights[ni] || 1) : weights[ni];
+      if(!w || closed[ni]) continue;
+      const t = g[cur] + ((d[0] && d[1]) ? Math.SQRT2 : 1) * w;
+      if(t < g[ni]){
+        g[ni] = t; came[ni] = cur; heap.push(ni, t + h(nr, nc));
+        if(trace) pushes.push(order.length, ni, t, t + h(nr, nc));
+      }
+    }
+  }
+  if(trace) trace.found = g[goalIdx] !== Infinity;
+  if(g[goalIdx] === Infinity) return null;
+  const path = [];
+  for(let k = goalIdx; k !== -1; k = came[k]) path.unshift({r: (k / cols) | 0, c: k % cols});
+  return path;
+}
+
+/* ======================
+   Pathfinders
+   - PATHFINDERS[name](rows, cols, weights, start, goal, diagonal, trace) → [{r,c}] | null, all with searchGrid's
+     contract (cost model, goal always enterable, optional trace for the debugger)
+   - every function here is self-contained apart from the others, so pathfinderSource() can ship them to a worker
+   - runPathfinder() times one search and reports nodes expanded and path cost, for benchmarks
+   ====================== */
+function dijkstraGrid(rows, cols, weights, start, goal, diagonal, trace){
+  return searchGrid(rows, cols, weights, start, goal, diagonal, trace, 0);
+}
+
+// A* from both ends at once; the backward side walks moves in reverse (paying for the cell it came from)
+// and stops once either frontier's best f can no longer beat the best meeting found
+function bidirectionalGrid(rows, cols, weights, start, goal, diagonal, trace){
+  const size = rows * cols, s = start.r * cols + start.c, t = goal.r * cols + goal.c;
+  const minW = minWeight(weights, t);
+  const dirs = diagonal ? [[1,0],[-1,0],[0,1],[0,-1],[1,1],[1,-1],[-1,1],[-1,-1]] : [[1,0],[-1,0],[0,1],[0,-1]];
+  const enter = i => i === t ? (weights[i] || 1) : weights[i];
+  const side = [goal, start].map(to => ({to, g: new Float64Array(size).fill(Infinity), came: new Int32Array(size).fill(-1), closed: new Uint8Array(size), heap: minHeap()}));
+  const h = (k, i) => octile(Math.abs(((i / cols) | 0) - side[k].to.r), Math.abs(i % cols - side[k].to.c), diagonal) * minW;
+  const order = trace ? (trace.order = []) : null, pushes = trace ? (trace.pushes = []) : null;
+  [s, t].forEach((root, k) => {
+    side[k].g[root] = 0; side[k].heap.push(root, h(k, root));
+    if(trace) pushes.push(0, root, 0, h(k, root));
+  });
+  let best = s === t ? 0 : Infinity, meet = s;
+  while(side[0].heap.size && side[1].heap.size){
+    if(Math.max(side[0].heap.peek(), side[1].heap.peek()) >= best) break;
+    const k = side[0].heap.size <= side[1].heap.size ? 0 : 1, S = side[k], O = side[1 - k];
+    const cur = S.heap.pop();
+    if(S.closed[cur]) continue;
+    S.closed[cur] = 1;
+    if(trace) order.push(cur);
+    // routes start at the start and end at the goal; neither is passed through
+    if(k === 0 ? cur === t : cur === s) continue;
+    const cr = (cur / cols) | 0, cc = cur % cols;
+    for(const d of dirs){
+      const nr = cr + d[0], nc = cc + d[1];
+      if(nr < 0 || nc < 0 || nr >= rows || nc >= cols) continue;
+      const ni = nr * cols + nc;
+      if(S.closed[ni]) continue;
+      // forward: pay to enter the neighbour; backward: the neighbour moves into cur and must itself be walkable (or the start)
+      const w = k === 0 ? enter(ni) : (ni === s || weights[ni] > 0 ? enter(cur) : 0);
+      if(!w) continue;
+      const g = S.g[cur] + ((d[0] && d[1]) ? Math.SQRT2 : 1) * w;
+      if(g >= S.g[ni]) continue;
+      S.g[ni] = g; S.came[ni] = cur; S.heap.push(ni, g + h(k, ni));
+      if(trace) pushes.push(order.length, ni, g, g + h(k, ni));
+      if(O.g[ni] + g < best){ best = O.g[ni] + g; meet = ni; }
+    }
+  }
+  if(trace) trace.found = best !== Infinity;
+  if(best === Infinity) return null;
+  const path = [];
+  for(let k = meet; k !== -1; k = side[0].came[k]) path.unshift({r: (k / cols) | 0, c: k % cols});
+  for(let k = side[1].came[meet]; k !== -1; k = side[1].came[k]) path.push({r: (k / cols) | 0, c: k % cols});
+  return path;
+}
+
+// Jump Point Search (8-way, corners may be cut like searchGrid): straight and diagonal runs are skipped
+// until a forced neighbour appears, so open areas cost a handful of expansions. Only exact on maps where
+// every walkable cell, and the goal as it is entered, has the same weight; anything else (or 4-way movement)
+// runs plain A* and says so
+function jumpPointGrid(rows, cols, weights, start, goal, diagonal, trace){
+  let W = weights[goal.r * cols + goal.c] || 1;
+  for(let i=0;i<rows*cols;i++){
+    if(weights[i] && weights[i] !== W){ W = -1; break; }
+  }
+  if(!diagonal || W < 0){
+    if(trace) trace.fallback = 'astar';
+    return searchGrid(rows, cols, weights, start, goal, diagonal, trace);
+  }
+  const size = rows * cols, s = start.r * cols + start.c, t = goal.r * cols + goal.c;
+  const walk = (r, c) => r >= 0 && c >= 0 && r < rows && c < cols && (weights[r * cols + c] > 0 || r * cols + c === t);
+  const forced = (r, c, dr, dc) => dr && dc
+    ? (!walk(r - dr, c) && walk(r - dr, c + dc)) || (!walk(r, c - dc) && walk(r + dr, c - dc))
+    : dr ? (!walk(r, c + 1) && walk(r + dr, c + 1)) || (!walk(r, c - 1) && walk(r + dr, c - 1))
+         : (!walk(r + 1, c) && walk(r + 1, c + dc)) || (!walk(r - 1, c) && walk(r - 1, c + dc));
+  function jump(r, c, dr, dc){
+    while(true){
+      r += dr; c += dc;
+      if(!walk(r, c)) return -1;
+      const i = r * cols + c;
+      if(i === t || forced(r, c, dr, dc)) return i;
+      if(dr && dc && (jump(r, c, dr, 0) >= 0 || jump(r, c, 0, dc) >= 0)) return i;
+    }
+  }
+  const all = [[1,0],[-1,0],[0,1],[0,-1],[1,1],[1,-1],[-1,1],[-1,-1]];
+  const g = new Float64Array(size).fill(Infinity), came = new Int32Array(size).fill(-1), closed = new Uint8Array(size);
+  const heap = minHeap();
+  // directions worth jumping in from a jump point, given the direction it was reached from
+  function pruned(i){
+    const p = came[i];
+    if(p < 0) return all;
+    const r = (i / cols) | 0, c = i % cols;
+    const dr = Math.sign(r - ((p / cols) | 0)), dc = Math.sign(c - p % cols), out = [];
+    if(dr && dc){
+      out.push([dr, 0], [0, dc], [dr, dc]);
+      if(!walk(r - dr, c)) out.push([-dr, dc]);
+      if(!walk(r, c - dc)) out.push([dr, -dc]);
+    } else if(dr){
+      out.push([dr, 0]);
+      if(!walk(r, c + 1)) out.push([dr, 1]);
+      if(!walk(r, c - 1)) out.push([dr, -1]);
+    } else {
+      out.push([0, dc]);
+      if(!walk(r + 1, c)) out.push([1, dc]);
+      if(!walk(r - 1, c)) out.push([-1, dc]);
+    }
+    return out;
+  }
+  const h = i => octile(Math.abs(((i / cols) | 0) - goal.r), Math.abs(i % cols - goal.c), true) * W;
+  const order = trace ? (trace.order = []) : null, pushes = trace ? (trace.pushes = []) : null;
+  g[s] = 0; heap.push(s, h(s));
+  if(trace) pushes.push(0, s, 0, h(s));
+  while(heap.size){
+    const cur = heap.pop();
+    if(closed[cur]) continue;
+    if(cur === t) break;
+    closed[cur] = 1;
+    if(trace) order.push(cur);
+    const cr = (cur / cols) | 0, cc = cur % cols;
+    for(const [dr, dc] of pruned(cur)){
+      const ni = jump(cr, cc, dr, dc);
+      if(ni < 0 || closed[ni]) continue;
+      const nr = (ni / cols) | 0, nc = ni % cols;
+      const ng = g[cur] + octile(Math.abs(nr - cr), Math.abs(nc - cc), true) * W;
+      if(ng < g[ni]){
+        g[ni] = ng; came[ni] = cur; heap.push(ni, ng + h(ni));
+        if(trace) pushes.push(order.length, ni, ng, ng + h(ni));
+      }
+    }
+  }
+  if(trace) trace.found = g[t] !== Infinity;
+  if(g[t] === Infinity) return null;
+  // fill in the straight/diagonal runs between jump points
+  const path = [{r: goal.r, c: goal.c}];
+  for(let k = t; came[k] !== -1; k = came[k]){
+    let r = (k / cols) | 0, c = k % cols;
+    const p = came[k], pr = (p / cols) | 0, pc = p % cols;
+    const dr = Math.sign(pr - r), dc = Math.sign(pc - c);
+    while(r !== pr || c !== pc){ r += dr; c += dc; path.unshift({r, c}); }
+  }
+  return path;
+}
+
+// cost-to-goal over the whole map from one backwards Dijkstra: every origin can then walk next[] downhill,
+// which suits many commuters heading to few workplaces. next[i] is the cell to move to from i (-1 at goals
+// and where no goal is reachable); cells that cannot be entered get a distance but are never passed through
+function flowField(rows, cols, weights, goals, diagonal, trace){
+  const size = rows * cols;
+  const dist = new Float64Array(size).fill(Infinity), next = new Int32Array(size).fill(-1);
+  const closed = new Uint8Array(size), isGoal = new Uint8Array(size);
+  const dirs = diagonal ? [[1,0],[-1,0],[0,1],[0,-1],[1,1],[1,-1],[-1,1],[-1,-1]] : [[1,0],[-1,0],[0,1],[0,-1]];
+  const heap = minHeap();
+  const order = trace ? (trace.order = []) : null, pushes = trace ? (trace.pushes = []) : null;
+  for(const t of goals){
+    isGoal[t] = 1; dist[t] = 0; heap.push(t, 0);
+    if(trace) pushes.push(0, t, 0, 0);
+  }
+  while(heap.size){
+    const cur = heap.pop();
+    if(closed[cur]) continue;
+    closed[cur] = 1;
+    if(trace) order.push(cur);
+    if(!isGoal[cur] && !weights[cur]) continue;
+    const w = isGoal[cur] ? (weights[cur] || 1) : weights[cur];
+    const cr = (cur / cols) | 0, cc = cur % cols;
+    for(const d of dirs){
+      const nr = cr + d[0], nc = cc + d[1];
+      if(nr < 0 || nc < 0 || nr >= rows || nc >= cols) continue;
+      const ni = nr * cols + nc;
+      if(closed[ni]) continue;
+      const t = dist[cur] + ((d[0] && d[1]) ? Math.SQRT2 : 1) * w;
+      if(t < dist[ni]){
+        dist[ni] = t; next[ni] = cur; heap.push(ni, t);
+        if(trace) pushes.push(order.length, ni, t, t);
+      }
+    }
+  }
+  return {dist, next};
+}
+
+function flowFieldGrid(rows, cols, weights, start, goal, diagonal, trace){
+  const s = start.r * cols + start.c;
+  const {dist, next} = flowField(rows, cols, weights, [goal.r * cols + goal.c], diagonal, trace);
+  if(trace) trace.found = dist[s] !== Infinity;
+  if(dist[s] === Infinity) return null;
+  const path = [];
+  for(let k = s; k !== -1; k = next[k]) path.push({r: (k / cols) | 0, c: k % cols});
+  return path;
+}
+
+const PATHFINDERS = {astar: searchGrid, dijkstra: dijkstraGrid, bidirectional: bidirectionalGrid, jps: jumpPointGrid, flow: flowFieldGrid};
+const PATHFINDER_LABELS = {astar:'A*', dijkstra:'Dijkstra', bidirectional:'Bidirectional A*', jps:'Jump Point Search', flow:'Flow field'};
+
+// one timed search: {path, stats: {algorithm, expanded, ms, cost, fallback}} plus the trace when asked for
+function runPathfinder(name, rows, cols, weights, start, goal, diagonal, keepTrace){
+  const clock = typeof performance !== 'undefined' ? () => performance.now() : () => Date.now();
+  if(!PATHFINDERS[name]) name = 'astar';
+  const trace = {};
+  const t0 = clock();
+  const path = PATHFINDERS[name](rows, cols, weights, start, goal, diagonal, trace);
+  const ms = clock() - t0;
+  let cost = null;
+  if(path){
+    const goalIdx = goal.r * cols + goal.c;
+    cost = 0;
+    for(let j=1;j<path.length;j++){
+      const a = path[j-1], b = path[j], i = b.r * cols + b.c;
+      cost += (a.r !== b.r && a.c !== b.c ? Math.SQRT2 : 1) * (i === goalIdx ? (weights[i] || 1) : weights[i]);
+    }
+  }
+  const stats = {algorithm: name, expanded: trace.order.length, ms, cost, fallback: trace.fallback || null};
+  return keepTrace ? {path, stats, trace} : {path, stats};
+}
+
+// source for a Blob worker: the pathfinders above plus their lookup table
+function pathfinderSource(){
+  const fns = [octile, minHeap, minWeight, searchGrid, dijkstraGrid, bidirectionalGrid, jumpPointGrid, flowField, flowFieldGrid, runPathfinder];
+  const table = Object.keys(PATHFINDERS).map(k => `${k}: ${PATHFINDERS[k].name}`).join(', ');
+  return fns.map(f => f.toString()).join('\n') + `\nconst PATHFINDERS = {${table}};\n`;
+}
+
+// the whole path worker script. It keeps the current map (rows, cols, weights): 'map' sends it whole,
+// 'diff' {idx, val} only the changed cells. 'find' {id, start, goal, algorithm, diagonal, trace} is answered
+// with {cmd:'result', id, path, stats[, trace]}; finds are queued so a 'cancel' {id} can drop one before it runs,
+// and map updates queue behind them, so every search runs on the map as it was when the search was sent.
+// Traces come back as typed arrays (order: Int32Array, pushes: Float64Array) ready to transfer
+function pathWorkerSource(){
+  return `${pathfinderSource()}
+  let rows = 0, cols = 0, weights = new Float32Array(0), scheduled = false;
+  const queue = []; // finds and the map updates sent after them, in arrival order
+  function update(msg){
+    if(msg.cmd === 'map'){ rows = msg.rows; cols = msg.cols; weights = msg.weights; }
+    else for(let i=0;i<msg.idx.length;i++) weights[msg.idx[i]] = msg.val[i];
+  }
+  // one search per task, so cancels that arrive meanwhile are seen
+  function drain(){
+    scheduled = false;
+    while(queue.length && queue[0].cmd !== 'find') update(queue.shift());
+    const msg = queue.shift();
+    if(!msg) return;
+    if(queue.length) schedule();
+    const res = runPathfinder(msg.algorithm || 'astar', rows, cols, weights, msg.start, msg.goal, msg.diagonal !== false, !!msg.trace);
+    const out = {cmd:'result', id: msg.id, path: res.path, stats: res.stats}, transfer = [];
+    if(res.trace){
+      out.trace = {order: Int32Array.from(res.trace.order), pushes: Float64Array.from(res.trace.pushes), found: res.trace.found, fallback: res.trace.fallback};
+      transfer.push(out.trace.order.buffer, out.trace.pushes.buffer);
+    }
+    postMessage(out, transfer);
+  }
+  function schedule(){ if(!scheduled){ scheduled = true; setTimeout(drain, 0); } }
+  self.onmessage = function(e){
+    const msg = e.data;
+    if(msg.cmd === 'map' || msg.cmd === 'diff'){ if(queue.length) queue.push(msg); else update(msg); }
+    else if(msg.cmd === 'find'){ queue.push(msg); schedule(); }
+    else if(msg.cmd === 'cancel'){ const k = queue.findIndex(m => m.id === msg.id); if(k >= 0) queue.splice(k, 1); }
+  };
+  `;
+}
+
+/* ======================
+   Pathfinding: A* Implementation (main-thread)
+   - supports diagonal moves, weights, caching
+   - one per grid: the traffic sim takes its free-flow routes from findPath's cache, the path debugger
+     and benchmark use run()/weights(); `algorithm` picks the PATHFINDERS entry
+   ====================== */
+class AStar {
+  constructor(grid){
+    this.grid = grid;
+    this.cache = new Map(); // algorithm|moves|start|goal → {path, rev, cells}: path found at grid revision rev
+    this.diagonal = true;
+    this.algorithm = 'astar';
+    this.regionAware = true; // keep paths whose cells were untouched by edits that only made other cells dearer
+    this.stats = {hits:0, misses:0, revalidated:0};
+  }
+
+  passablePredicate(mask){
+    // mask: Uint8Array or simple function; none = tile metadata decides
+    if(!mask) return p => tileInfo(this.grid.get(p.r, p.c) || '').passable;
+    if(typeof mask === 'function') return mask;
+    // mask is Set or array of booleans
+    return p => !!mask[p.r*this.grid.cols + p.c];
+  }
+
+  // per-cell weight array shared with the worker (0 = blocked)
+  weights(maskOrFn){
+    const passable = this.passablePredicate(maskOrFn);
+    const w = new Float32Array(this.grid.rows * this.grid.cols);
+    for(let r=0;r<this.grid.rows;r++){
+      for(let c=0;c<this.grid.cols;c++){
+        if(passable({r,c})) w[r*this.grid.cols + c] = tileWeight(this.grid.get(r,c) || '');
+      }
+    }
+    return w;
+  }
+
+  key(start, goal){ return `${this.algorithm}|${this.diagonal ? 8 : 4}|${start.r},${start.c}|${goal.r},${goal.c}`; }
+
+  // cached path if it is still optimal, else undefined; counts a hit or a miss
+  lookup(start, goal){
+    const key = this.key(start, goal), hit = this.cache.get(key);
+    if(hit && this.fresh(hit)){ this.stats.hits++; return hit.path.slice(); }
+    this.stats.misses++;
+    this.cache.delete(key);
+    return undefined;
+  }
+
+  // remember a path searched on weights() at grid revision rev; a search made elsewhere (a worker) passes
+  // the key and revision from when it was asked for, fresh() then checks the edits made since
+  store(key, path, rev=this.grid.revision){
+    // cache small paths
+    if(!path || path.length >= 512) return;
+    if(this.cache.size >= 1024) this.cache.delete(this.cache.keys().next().value);
+    this.cache.set(key, {path: path.slice(), rev, cells: new Set(path.map(p => p.r * this.grid.cols + p.c))});
+  }
+
+  // cached search on the tiles' own passability (what cellWeight sees, so fresh() can judge edits)
+  findPath(start,goal){
+    const hit = this.lookup(start, goal);
+    if(hit) return hit;
+    const fn = PATHFINDERS[this.algorithm] || searchGrid;
+    const path = fn(this.grid.rows, this.grid.cols, this.weights(), start, goal, this.diagonal);
+    this.store(this.key(start, goal), path);
+    return path;
+  }
+
+  // a cached path stays optimal if, since it was found, no cell on it changed and no cell anywhere
+  // became passable or cheaper (other routes only got dearer); bulk writes drop it
+  fresh(entry){
+    if(entry.rev === this.grid.revision) return true;
+    if(!this.regionAware) return false;
+    const edits = this.grid.editsSince(entry.rev);
+    if(!edits) return false;
+    for(const e of edits){
+      if(e.all || entry.cells.has(e.i)) return false;
+      const before = cellWeight(e.prev), after = cellWeight(e.next);
+      if(after && (!before || after < before)) return false;
+    }
+    entry.rev = this.grid.revision;
+    this.stats.revalidated++;
+    return true;
+  }
+
+  cacheReport(){
+    const {hits, misses, revalidated} = this.stats, n = hits + misses;
+    return `A* cache: ${hits} hits (${revalidated} kept across edits), ${misses} misses${n ? ` — ${Math.round(hits * 100 / n)}% hit rate` : ''}`;
+  }
+
+  // uncached, timed search: {path, stats}, plus what it explored when trace is set (see searchGrid)
+  run(start, goal, maskOrFn, trace=false){
+    return runPathfinder(this.algorithm, this.grid.rows, this.grid.cols, this.weights(maskOrFn), start, goal, this.diagonal, trace);
+  }
+}
+
+// cells from which some workplace can be reached under the same rules as searchGrid: flood outwards
+// from every workplace through passable cells (the goal of a search may always be entered)
+function workReach(rows, cols, cells, diagonal=true){
+  const dirs = diagonal ? [[1,0],[-1,0],[0,1],[0,-1],[1,1],[1,-1],[-1,1],[-1,-1]] : [[1,0],[-1,0],[0,1],[0,-1]];
+  const reach = new Uint8Array(rows * cols), queue = [];
+  cells.forEach((v, i) => { if(isWork(v)){ reach[i] = 1; queue.push(i); } });
+  while(queue.length){
+    const i = queue.pop(), r = (i / cols) | 0, c = i % cols;
+    for(const d of dirs){
+      const nr = r + d[0], nc = c + d[1];
+      if(nr < 0 || nc < 0 || nr >= rows || nc >= cols) continue;
+      const ni = nr * cols + nc;
+      if(reach[ni]) continue;
+      reach[ni] = 1;
+      if(tileInfo(cells[ni]).passable) queue.push(ni); // buildings are reached but not driven through
+    }
+  }
+  return reach;
+}
+
+/* ======================
+   Traffic simulation
+   - persistent agents: each vehicle keeps origin, destination, route, position, speed and wait time
+   - passable cells hold at most max(1, capacity) vehicles; a full next cell makes the vehicle queue
+   - congested cells cost more to enter, vehicles stuck in a queue re-plan around them
+   - new commuters take the free-flow route from opts.paths (an AStar, its cache keyed on the grid revision)
+     while no vehicle sits on it; congestion only raises costs, so that route is then still the cheapest
+   - opts.router {route(req) → Promise<path>, cancel(key)} moves searches off the tick (the page's worker
+     pool): req is {start, goal, rows, cols, weights, algorithm, diagonal, key} with one key per vehicle, so
+     a re-plan supersedes a stale search. New commuters wait in `planning` until their route comes back;
+     replies land at the start of the next tick and a failed search is redone inline
+   - DOM-free and deterministic without a router: grid is anything with rows/cols/get(r,c), randomness
+     comes from opts.random
+   ====================== */
+const TRAFFIC = {
+  congestion: 2,      // extra entry cost per unit of occupancy/capacity
+  replanAfter: 3,     // ticks queued before looking for another route
+  giveUpAfter: 30,    // ticks queued before the trip is abandoned
+  maxVehicles: 500,
+  window: 60          // ticks over which throughput is measured
+};
+
+class TrafficSim {
+  constructor(grid, opts={}){
+    this.grid = grid;
+    this.diagonal = opts.diagonal !== false;
+    this.random = opts.random || Math.random;
+    this.pathfinder = opts.pathfinder || 'astar';
+    this.paths = opts.paths || new AStar(grid);
+    this.router = opts.router || null;
+    this.reset();
+  }
+
+  reset(){
+    for(const v of (this.vehicles || []).concat(this.planning || [])) this.cancel(v);
+    this.epoch = (this.epoch || 0) + 1; // replies to searches asked before a reset are dropped
+    this.rows = this.grid.rows; this.cols = this.grid.cols;
+    this.vehicles = []; // routed, in the order they set off, which is also the order they move in
+    this.planning = []; // spawned, waiting for the router
+    this.replies = [];
+    this.occupancy = new Map(); // cell index → vehicles on it
+    this.nextId = 1;
+    this.tickCount = 0;
+    this.totals = {spawned:0, arrived:0, gaveUp:0, tripTicks:0, replans:0};
+    this.recent = []; // arrival ticks inside the throughput window
+    this._weights = null;
+    this._fields = null; this._fieldsFor = null; // flow fields per destination (pathfinder "flow")
+  }
+
+  capacity(i){
+    const info = tileInfo(this.grid.get((i / this.cols) | 0, i % this.cols) || '');
+    return info.passable ? Math.max(1, info.capacity) : Infinity; // buildings park any number
+  }
+
+  // entry weights for this tick: tile cost raised by current congestion, 0 = blocked
+  weights(){
+    if(this._weights) return this._weights;
+    const w = new Float32Array(this.rows * this.cols);
+    for(let i=0;i<w.length;i++){
+      const v = this.grid.get((i / this.cols) | 0, i % this.cols) || '';
+      if(!tileInfo(v).passable) continue;
+      const occ = this.occupancy.get(i) || 0;
+      w[i] = tileWeight(v) * (1 + TRAFFIC.congestion * occ / this.capacity(i));
+    }
+    return (this._weights = w);
+  }
+
+  route(from, to){
+    const cols = this.cols, w = this.weights();
+    if(this.pathfinder === 'flow'){
+      // one field per destination and weight table: every commuter bound there this tick reuses it
+      if(this._fieldsFor !== w){ this._fields = new Map(); this._fieldsFor = w; }
+      let f = this._fields.get(to);
+      if(!f) this._fields.set(to, f = flowField(this.rows, cols, w, [to], this.diagonal));
+      if(f.dist[from] === Infinity) return null;
+      const path = [];
+      for(let k = from; k !== -1; k = f.next[k]) path.push(k);
+      return path;
+    }
+    const find = PATHFINDERS[this.pathfinder] || searchGrid;
+    const path = find(this.rows, cols, w, {r:(from / cols) | 0, c:from % cols}, {r:(to / cols) | 0, c:to % cols}, this.diagonal);
+    return path && path.map(p => p.r * cols + p.c);
+  }
+
+  cell(i){ return {r: (i / this.cols) | 0, c: i % this.cols}; }
+  indices(path){ return path && path.map(p => p.r * this.cols + p.c); }
+  freePaths(){
+    this.paths.algorithm = this.pathfinder; this.paths.diagonal = this.diagonal;
+    return this.paths;
+  }
+  // a vehicle on a cell the route enters (the destination parks any number)
+  congested(path){
+    for(let j=1;j<path.length - 1;j++) if(this.occupancy.has(path[j])) return true;
+    return false;
+  }
+
+  // route for a new commuter: the cached free-flow one unless it is congested
+  plan(from, to){
+    const path = this.indices(this.freePaths().findPath(this.cell(from), this.cell(to)));
+    return path && this.congested(path) ? this.route(from, to) : path;
+  }
+
+  routeKey(v){ return `commute:${v.id}`; }
+  cancel(v){
+    if(v.pending && this.router) this.router.cancel(this.routeKey(v));
+    v.pending = false;
+  }
+
+  // ask the router for v's route from where it stands: free = on the tile weights (the answer is cached too),
+  // else on this tick's congested weights
+  request(v, free){
+    const paths = this.freePaths(), start = this.cell(v.at), goal = this.cell(v.dest);
+    const ticket = v.ticket = (v.ticket || 0) + 1, epoch = this.epoch;
+    const reply = {v, ticket, epoch, free, key: paths.key(start, goal), rev: this.grid.revision};
+    v.pending = true;
+    this.router.route({start, goal, rows: this.rows, cols: this.cols, weights: free ? paths.weights() : this.weights(),
+      algorithm: this.pathfinder, diagonal: this.diagonal, key: this.routeKey(v)})
+      .then(path => { reply.path = path; this.replies.push(reply); }, () => { reply.failed = true; this.replies.push(reply); });
+  }
+
+  // set off on a route: the vehicle joins the moving ones
+  start(v, path){
+    let ideal = 0;
+    for(let j=1;j<path.length;j++) ideal += this.stepCost(path[j-1], path[j]);
+    Object.assign(v, {path, step: 0, state: 'moving', born: this.tickCount, waited: 0, ideal: Math.ceil(ideal / v.speed)});
+    this.occupancy.set(v.at, (this.occupancy.get(v.at) || 0) + 1);
+    this.vehicles.push(v);
+    this.totals.spawned++;
+  }
+
+  // apply router answers that came in since the last tick; stale ones (superseded, vehicle gone, reset) are dropped
+  collect(){
+    const replies = this.replies;
+    this.replies = [];
+    for(const rep of replies){
+      const v = rep.v;
+      if(rep.epoch !== this.epoch || rep.ticket !== v.ticket || !v.pending) continue;
+      v.pending = false;
+      const planning = v.state === 'planning';
+      let path;
+      if(rep.failed) path = planning ? this.plan(v.at, v.dest) : this.route(v.at, v.dest);
+      else {
+        if(rep.free) this.paths.store(rep.key, rep.path, rep.rev);
+        path = this.indices(rep.path);
+        if(path && rep.free && this.congested(path)){ this.request(v, false); continue; }
+      }
+      if(planning){
+        this.planning = this.planning.filter(x => x !== v);
+        if(path && path.length > 1) this.start(v, path);
+      } else if(path && path.length > 1 && path[0] === v.at){
+        v.path = path; v.step = 0; this.totals.replans++;
+      }
+    }
+  }
+
+  // free-flow cost of entering cell b from a
+  stepCost(a, b){
+    const diag = ((a / this.cols) | 0) !== ((b / this.cols) | 0) && a % this.cols !== b % this.cols;
+    return (diag ? Math.SQRT2 : 1) * tileWeight(this.grid.get((b / this.cols) | 0, b % this.cols) || '');
+  }
+
+  // random cell weighted by tile capacity (a 🏘️ sends out more commuters than a 🏡)
+  pick(list){
+    const w = list.map(i => Math.max(1, tileInfo(this.grid.get((i / this.cols) | 0, i % this.cols)).capacity));
+    let x = this.random() * w.reduce((a, b) => a + b, 0);
+    for(let i=0;i<list.length;i++){ x -= w[i]; if(x < 0) return list[i]; }
+    return list[list.length - 1];
+  }
+
+  // spawn up to n commuters from houses to workplaces; returns the vehicles created
+  spawn(n=1){
+    this.syncSize();
+    const houses = [], works = [];
+    for(let i=0;i<this.rows*this.cols;i++){
+      const v = this.grid.get((i / this.cols) | 0, i % this.cols) || '';
+      if(isHouse(v)) houses.push(i); else if(isWork(v)) works.push(i);
+    }
+    const out = [];
+    if(!houses.length || !works.length) return out;
+    for(let k=0;k<n && this.vehicles.length + this.planning.length < TRAFFIC.maxVehicles;k++){
+      const origin = this.pick(houses), dest = this.pick(works);
+      const speed = 0.8 + this.random() * 0.4; // cells per tick on cost-1 ground
+      const v = {id: this.nextId, origin, dest, at: origin, speed, budget: 0, state: 'planning', waited: 0};
+      if(this.router){
+        this.nextId++; out.push(v);
+        const hit = this.indices(this.freePaths().lookup(this.cell(origin), this.cell(dest)));
+        if(hit && !this.congested(hit)){ this.start(v, hit); continue; }
+        this.planning.push(v);
+        this.request(v, !hit);
+        continue;
+      }
+      const path = this.plan(origin, dest);
+      if(!path || path.length < 2) continue;
+      this.nextId++;
+      this.start(v, path); out.push(v);
+    }
+    return out;
+  }
+
+  syncSize(){
+    if(this.rows !== this.grid.rows || this.cols !== this.grid.cols) this.reset();
+  }
+
+  move(v, to){
+    const occ = this.occupancy;
+    if(occ.get(v.at) > 1) occ.set(v.at, occ.get(v.at) - 1); else occ.delete(v.at);
+    occ.set(to, (occ.get(to) || 0) + 1);
+    v.at = to; v.step++;
+  }
+
+  // advance every vehicle one tick; returns {arrived, gaveUp} vehicles for this tick
+  tick(){
+    this.syncSize();
+    this.collect();
+    this.tickCount++;
+    this._weights = null;
+    const arrived = [], gaveUp = [];
+    // a route that never comes back (worker lost) is abandoned like a queue, without counting as a trip
+    this.planning = this.planning.filter(v => {
+      if(++v.waited < TRAFFIC.giveUpAfter) return true;
+      this.cancel(v);
+      return false;
+    });
+    for(const v of this.vehicles){
+      v.budget = Math.min(v.budget + v.speed, 3);
+      let blocked = false, gone = false;
+      while(v.step < v.path.length - 1){
+        const next = v.path[v.step + 1];
+        const cost = this.stepCost(v.at, next);
+        gone = next !== v.dest && !tileInfo(this.grid.get((next / this.cols) | 0, next % this.cols) || '').passable; // built over
+        if(gone || (this.occupancy.get(next) || 0) >= this.capacity(next)){ blocked = true; break; }
+        if(v.budget < cost) break;
+        v.budget -= cost;
+        this.move(v, next);
+      }
+      if(v.step >= v.path.length - 1){ v.state = 'arrived'; arrived.push(v); continue; }
+      if(!blocked){ v.state = 'moving'; v.waited = 0; continue; }
+      v.state = 'queued'; v.waited++;
+      if(v.waited >= TRAFFIC.giveUpAfter){ v.state = 'gaveUp'; gaveUp.push(v); continue; }
+      if(gone || v.waited % TRAFFIC.replanAfter === 0){
+        this._weights = null; // see the queue as it is now
+        if(this.router){ this.request(v, false); continue; }
+        const path = this.route(v.at, v.dest);
+        if(path && path.length > 1){ v.path = path; v.step = 0; this.totals.replans++; }
+      }
+    }
+    if(arrived.length || gaveUp.length){
+      const done = new Set(arrived.concat(gaveUp));
+      for(const v of done){
+        const n = this.occupancy.get(v.at);
+        if(n > 1) this.occupancy.set(v.at, n - 1); else this.occupancy.delete(v.at);
+        this.cancel(v);
+      }
+      this.vehicles = this.vehicles.filter(v => !done.has(v));
+    }
+    for(const v of arrived){ v.trip = this.tickCount - v.born; this.totals.arrived++; this.totals.tripTicks += v.trip; this.recent.push(this.tickCount); }
+    this.totals.gaveUp += gaveUp.length;
+    while(this.recent.length && this.recent[0] <= this.tickCount - TRAFFIC.window) this.recent.shift();
+    return {arrived, gaveUp};
+  }
+
+  stats(){
+    const t = this.totals;
+    return {
+      tick: this.tickCount, active: this.vehicles.length, planning: this.planning.length,
+      queued: this.vehicles.filter(v => v.state === 'queued').length,
+      spawned: t.spawned, arrived: t.arrived, gaveUp: t.gaveUp, replans: t.replans,
+      avgTrip: t.arrived ? t.tripTicks / t.arrived : 0,
+      throughput: this.recent.length * 60 / Math.min(TRAFFIC.window, this.tickCount || 1) // trips per 60 ticks
+    };
+  }
+
+  // positions for rendering: [{id, r, c, state}]
+  snapshot(){
+    return this.vehicles.map(v => ({id: v.id, r: (v.at / this.cols) | 0, c: v.at % this.cols, state: v.state}));
+  }
+}
+
+/* ======================
+   Level objectives
+   - evaluators keyed by objective type; each returns {done, progress 0..1, text}
+   - pattern cells set to '' are wildcards
+   ====================== */
+const LEVELS = [
+  {id:'lvl1', name:'Starter Village', rows:10, cols:12, reward:50, objectives:[{type:'place_count', emoji:'🏠', count:8}],
+    modes:{puzzle:{budget:10, palette:['🏠','🛣️','🌳']}, timed:{duration:90, par:60}}},
+  {id:'lvl2', name:'Commuter Rush', rows:12, cols:16, reward:100, objectives:[{type:'balance', houses:6, workplaces:4}],
+    modes:{puzzle:{budget:18, palette:['🏠','🏡','🏢','🏫','🛣️']}, timed:{duration:150, par:140}}},
+  {id:'lvl3', name:'Eco Park', rows:10, cols:10, reward:150, objectives:[{type:'pattern', pattern:[['🌳','🌳','🌳'],['🌳','','🌳'],['🌳','🌳','🌳']]}],
+    modes:{puzzle:{budget:9, palette:['🌳','🌲']}, timed:{duration:60, par:150}}}
+];
+const Objectives = {
+  evaluators: {
+    place_count(grid, o){
+      const n = grid.cells.filter(v => v === o.emoji).length;
+      return {done: n >= o.count, progress: n / o.count, text: `Place ${o.emoji}: ${Math.min(n, o.count)}/${o.count}`};
+    },
+    balance(grid, o){
+      let h = 0, w = 0;
+      for(const v of grid.cells){ if(isHouse(v)) h++; else if(isWork(v)) w++; }
+      const progress = (Math.min(h, o.houses) + Math.min(w, o.workplaces)) / (o.houses + o.workplaces);
+      return {done: h >= o.houses && w >= o.workplaces, progress, text: `Houses ${h}/${o.houses} • Workplaces ${w}/${o.workplaces}`};
+    },
+    pattern(grid, o){
+      const pr = o.pattern.length, pc = o.pattern[0].length;
+      const need = o.pattern.flat().filter(Boolean).length;
+      let best = 0;
+      for(let r=0;r<=grid.rows-pr;r++){
+        for(let c=0;c<=grid.cols-pc;c++){
+          let hit = 0;
+          for(let i=0;i<pr;i++) for(let j=0;j<pc;j++){ const want = o.pattern[i][j]; if(want && grid.get(r+i, c+j) === want) hit++; }
+          if(hit > best) best = hit;
+        }
+      }
+      return {done: best >= need, progress: need ? best / need : 1, text: `Pattern: ${best}/${need} tiles`};
+    }
+  },
+  evaluate(def, grid){
+    return (def.objectives || []).map(o => {
+      const fn = this.evaluators[o.type];
+      const res = fn ? fn(grid, o) : {done:false, progress:0, text:`Unknown objective "${o.type}"`};
+      return Object.assign({type:o.type}, res, {progress: clamp(res.progress || 0, 0, 1)});
+    });
+  }
+};
+
+/* ======================
+   Timeline (command stack)
+   - actions[0] is 'init' with a snapshot; the first `index` actions are applied, the rest is the redo tail
+   - actions carry their inverse (prev values); checkpoints every CHECKPOINT_EVERY actions bound long jumps
+   - between beginStroke/endStroke single 'set's coalesce into one 'multi' (op 'stroke')
+   - 'set' and 'multi' carry the layer they wrote (stamped with the active one when recorded; older entries
+     without it wrote the bottom layer); prev/val are that layer's values, not the composite
+   - hooks.level() / hooks.setLevel(id) let the host follow the active level across 'setlevel'
+   ====================== */
+const CHECKPOINT_EVERY = 25;
+
+class Timeline {
+  constructor(grid, hooks={}){
+    this.grid = grid;
+    this.level = hooks.level || (()=> null);
+    this.setLevel = hooks.setLevel || (()=>{});
+    this.actions = [];
+    this.index = 0;
+    this.checkpoints = new Map(); // applied count → {grid, level}
+    this.stroking = false;
+    this.strokeCells = null;
+  }
+
+  // drop the timeline and start a new one from the current grid
+  reset(){
+    this.endStroke();
+    this.actions = [];
+    this.index = 0;
+    this.checkpoints = new Map();
+    this.record({type:'init', t: now(), snapshot: this.grid.toJSON()});
+    this.checkpoints.set(1, {grid: this.actions[0].snapshot, level: this.level()});
+  }
+
+  // adopt a timeline from a save; the grid is expected to be at its end
+  load(actions){
+    if(!Array.isArray(actions) || !actions.length || actions[0].type !== 'init' || !actions[0].snapshot){ this.reset(); return; }
+    this.endStroke();
+    this.actions = actions;
+    this.index = actions.length;
+    // the level in force before the first action: the one the first level change left, else the current one
+    const change = actions.find(a => a.type === 'setlevel');
+    this.checkpoints = new Map([[1, {grid: actions[0].snapshot, level: change ? change.prevLevel || null : this.level()}]]);
+  }
+
+  // applied actions only (the redo tail is not persisted)
+  applied(){ return this.actions.slice(0, this.index); }
+  canUndo(){ return this.index > 1; }
+  canRedo(){ return this.index < this.actions.length; }
+
+  // actions are recorded *before* their change is applied to the grid
+  record(action){
+    if(action.type === 'set' && (action.prev || '') === (action.next || '')) return;
+    if((action.type === 'set' || action.type === 'multi') && action.layer == null) action.layer = this.grid.active;
+    if(this.stroking && action.type === 'set') return this.extendStroke(action);
+    this.push(action);
+  }
+
+  push(action){
+    // a new edit after undo drops the redo branch
+    if(this.index < this.actions.length){
+      this.actions.length = this.index;
+      for(const k of this.checkpoints.keys()) if(k > this.index) this.checkpoints.delete(k);
+    }
+    action.t = now();
+    if(this.actions.length && this.actions.length % CHECKPOINT_EVERY === 0){
+      this.checkpoints.set(this.actions.length, {grid: this.grid.toJSON(), level: this.level()});
+    }
+    this.actions.push(action);
+    this.index = this.actions.length;
+  }
+
+  beginStroke(){
+    if(this.stroking) return;
+    this.stroking = true;
+    this.strokeCells = null;
+  }
+  endStroke(){
+    this.stroking = false;
+    this.strokeCells = null;
+  }
+  extendStroke(a){
+    if(!this.strokeCells){
+      this.strokeCells = new Map();
+      this.push({type:'multi', op:'stroke', layer: a.layer, items:[]});
+    }
+    const stroke = this.actions[this.index - 1];
+    const key = this.grid.index(a.r, a.c);
+    const item = this.strokeCells.get(key);
+    if(item) item.val = a.next || '';
+    else { const it = {r:a.r, c:a.c, prev:a.prev || '', val:a.next || ''}; stroke.items.push(it); this.strokeCells.set(key, it); }
+  }
+
+  // [{r,c,val}] → 'multi' items against a layer of the current grid (later entries win, off-grid and unchanged cells dropped)
+  diff(updates, layer=this.grid.active){
+    const byIdx = new Map();
+    for(const u of updates){
+      if(!this.grid.inBounds(u.r, u.c)) continue;
+      byIdx.set(this.grid.index(u.r, u.c), u);
+    }
+    const items = [];
+    for(const u of byIdx.values()){
+      const prev = this.grid.layerGet(u.r, u.c, layer) || '', val = u.val || '';
+      if(prev !== val) items.push({r:u.r, c:u.c, prev, val});
+    }
+    return items;
+  }
+
+  // apply an action forwards (dir 1) or its inverse (dir -1); false when it carries no inverse
+  apply(a, dir){
+    if(!a) return true;
+    const fwd = dir > 0, grid = this.grid;
+    switch(a.type){
+      case 'set':
+        grid.set(a.r, a.c, fwd ? a.next : a.prev, true, a.layer || 0);
+        return true;
+      case 'multi':
+        if(!fwd && !a.items.every(i => 'prev' in i)) return false;
+        grid.multiSet(a.items.map(i => ({r:i.r, c:i.c, val: fwd ? i.val : i.prev})), a.layer || 0);
+        return true;
+      case 'fill':
+        // legacy 'randomize' fills recorded no cells and cannot be reproduced
+        if(fwd){ if(a.next !== 'randomize') grid.fillAll(a.next); return true; }
+        if(a.prevLayers){ grid.setLayerCells(a.prevLayers); return true; }
+        if(!a.prevCells) return false;
+        grid.setCells(a.prevCells);
+        return true;
+      case 'setlevel':
+        if(fwd){
+          grid.loadJSON({rows:a.level.rows, cols:a.level.cols, cells:new Array(a.level.rows * a.level.cols).fill('')});
+          this.setLevel(a.level.id);
+          return true;
+        }
+        if(!a.prev) return false;
+        grid.loadJSON(a.prev);
+        this.setLevel(a.prevLevel);
+        return true;
+      case 'resize':
+        grid.loadJSON(fwd ? a.next : a.prev);
+        return true;
+      default: // 'init' and unknown entries change nothing
+        return true;
+    }
+  }
+
+  // move the applied cursor to idx: step through inverses when close, else nearest checkpoint + forward replay
+  seek(idx){
+    idx = clamp(idx, 1, this.actions.length);
+    this.endStroke();
+    if(Math.abs(idx - this.index) > CHECKPOINT_EVERY) return this.restoreTo(idx);
+    while(this.index > idx){
+      if(!this.apply(this.actions[this.index - 1], -1)) return this.restoreTo(idx);
+      this.index--;
+    }
+    while(this.index < idx){ this.apply(this.actions[this.index], 1); this.index++; }
+  }
+
+  restoreTo(idx){
+    let base = 1;
+    for(const k of this.checkpoints.keys()) if(k <= idx && k > base) base = k;
+    const cp = this.checkpoints.get(base);
+    if(!cp) return;
+    this.grid.loadJSON(cp.grid);
+    this.setLevel(cp.level);
+    for(let i=base;i<idx;i++) this.apply(this.actions[i], 1);
+    this.index = idx;
+  }
+}
+
+/* ======================
+   Save format
+   - one versioned payload for exports, save slots and the autosave:
+     {version, grid, actions, registry, tiles, mode, rng, stamp}
+   - files without a version are version 1 (written before the schema); SAVE_MIGRATIONS[v] lifts v to v + 1
+   - registry null = the file carries no palette (bare v1 exports); the current one is kept
+   - readSave() migrates, validates every field and replays the timeline; it throws MapFormatError naming
+     the field and the reason, and returns a fresh copy without touching any shared state, so callers
+     apply a save completely or not at all
+   ====================== */
+const SAVE_VERSION = 3;
+
+class MapFormatError extends Error {
+  constructor(field, reason){
+    super(reason === undefined ? field : `${field}: ${reason}`);
+    this.name = 'MapFormatError';
+    this.field = reason === undefined ? null : field;
+    this.reason = reason === undefined ? field : reason;
+  }
+}
+
+function toSave(state){
+  return {
+    version: SAVE_VERSION,
+    grid: state.grid.toJSON(true), actions: state.actions || [], registry: (state.registry || []).slice(),
+    tiles: state.tiles || {}, mode: state.mode || null, rng: state.rng || null, stamp: state.stamp || now()
+  };
+}
+
+// v1 timelines may hold entries that cannot be replayed (cell-less 'randomize' fills, level switches
+// recorded without a size); such a history restarts from the saved map instead of being rejected
+function replayableV1(actions){
+  if(!Array.isArray(actions) || !actions.length || !actions[0] || actions[0].type !== 'init' || !actions[0].snapshot) return false;
+  return actions.every(a => a && !(a.type === 'fill' && a.next === 'randomize') && !(a.type === 'setlevel' && !(a.level && a.level.rows && a.level.cols)));
+}
+
+const SAVE_MIGRATIONS = {
+  1(obj){
+    const out = Object.assign({}, obj, {version: 2});
+    out.registry = obj.registry || null;
+    if(obj.tiles == null) out.tiles = {};
+    out.mode = obj.mode || null;
+    out.rng = obj.rng || null;
+    out.stamp = obj.stamp || 0;
+    if(!replayableV1(obj.actions)) out.actions = [{type:'init', t: out.stamp, snapshot: obj.grid}];
+    return out;
+  },
+  // v3 adds grid layers and per-action layer indices; a v2 map reads as its bottom layer unchanged
+  2(obj){
+    return Object.assign({}, obj, {version: 3});
+  }
+};
+
+function migrateSave(obj){
+  if(!obj || typeof obj !== 'object' || Array.isArray(obj)) throw new MapFormatError('save', 'not a JSON object');
+  let v = obj.version === undefined ? 1 : obj.version;
+  if(!Number.isInteger(v) || v < 1) throw new MapFormatError('version', `expected a positive integer, got ${JSON.stringify(obj.version)}`);
+  if(v > SAVE_VERSION) throw new MapFormatError('version', `${v} was written by a newer Emojiton (this one reads up to ${SAVE_VERSION})`);
+  for(; v < SAVE_VERSION; v++) obj = SAVE_MIGRATIONS[v](obj);
+  return obj;
+}
+
+const isStr = v => typeof v === 'string';
+const optStr = v => v === undefined || v === null || typeof v === 'string';
+const isObj = v => !!v && typeof v === 'object' && !Array.isArray(v);
+const describe = v => v === undefined ? 'nothing' : JSON.stringify(v);
+
+function readGrid(g, where){
+  if(!isObj(g)) throw new MapFormatError(where, `expected {rows, cols, cells}, got ${describe(g)}`);
+  for(const k of ['rows', 'cols']){
+    if(!Number.isInteger(g[k]) || g[k] < 1 || g[k] > MAX_GRID_DIM) throw new MapFormatError(`${where}.${k}`, `expected an integer in 1..${MAX_GRID_DIM}, got ${describe(g[k])}`);
+  }
+  if(!Array.isArray(g.cells)) throw new MapFormatError(`${where}.cells`, 'expected an array');
+  if(g.cells.length !== g.rows * g.cols) throw new MapFormatError(`${where}.cells`, `expected ${g.rows * g.cols} entries (${g.rows}×${g.cols}), got ${g.cells.length}`);
+  const bad = g.cells.findIndex(v => !isStr(v));
+  if(bad >= 0) throw new MapFormatError(`${where}.cells[${bad}]`, `expected a string, got ${describe(g.cells[bad])}`);
+  const out = {rows: g.rows, cols: g.cols, cells: g.cells.slice()};
+  if(g.layers === undefined) return out;
+  if(!Array.isArray(g.layers) || !g.layers.length || g.layers.length > MAX_LAYERS) throw new MapFormatError(`${where}.layers`, `expected 1..${MAX_LAYERS} layers`);
+  out.layers = g.layers.map((l, k) => readLayer(l, `${where}.layers[${k}]`, g.cells.length));
+  const dup = out.layers.findIndex((l, k) => out.layers.findIndex(x => x.name === l.name) !== k);
+  if(dup >= 0) throw new MapFormatError(`${where}.layers[${dup}].name`, `"${out.layers[dup].name}" is used twice`);
+  const composite = composeLayers(out.layers.map(l => l.cells), g.cells.length);
+  const off = composite.findIndex((v, i) => v !== g.cells[i]);
+  if(off >= 0) throw new MapFormatError(`${where}.cells[${off}]`, `expected ${describe(composite[off])} (the topmost layer value), got ${describe(g.cells[off])}`);
+  return out;
+}
+
+function readLayer(l, at, size){
+  if(!isObj(l)) throw new MapFormatError(at, 'expected {name, cells}');
+  if(!isStr(l.name) || !l.name || l.name.length > 32) throw new MapFormatError(`${at}.name`, `expected a name of 1..32 characters, got ${describe(l.name)}`);
+  if(!Array.isArray(l.cells) || l.cells.length !== size) throw new MapFormatError(`${at}.cells`, `expected ${size} entries`);
+  const bad = l.cells.findIndex(v => !isStr(v));
+  if(bad >= 0) throw new MapFormatError(`${at}.cells[${bad}]`, `expected a string, got ${describe(l.cells[bad])}`);
+  const out = {name: l.name, cells: l.cells.slice()};
+  for(const k of ['visible', 'locked']){
+    if(l[k] === undefined) continue;
+    if(typeof l[k] !== 'boolean') throw new MapFormatError(`${at}.${k}`, 'expected true or false');
+    out[k] = l[k];
+  }
+  if(l.opacity !== undefined){
+    if(typeof l.opacity !== 'number' || !(l.opacity >= 0 && l.opacity <= 1)) throw new MapFormatError(`${at}.opacity`, `expected a number in 0..1, got ${describe(l.opacity)}`);
+    out.opacity = l.opacity;
+  }
+  return out;
+}
+
+function readLayerIndex(a, at, grid){
+  if(a.layer === undefined) return;
+  if(!Number.isInteger(a.layer) || a.layer < 0 || a.layer >= grid.layers.length) throw new MapFormatError(`${at}.layer`, `expected a layer index in 0..${grid.layers.length - 1}, got ${describe(a.layer)}`);
+}
+
+function readTiles(map){
+  if(!isObj(map)) throw new MapFormatError('tiles', 'expected an object keyed by emoji');
+  const out = {};
+  for(const k in map) out[k] = readTile(map[k], `tiles[${JSON.stringify(k)}]`);
+  return out;
+}
+
+function readTile(t, at){
+  if(!isObj(t)) throw new MapFormatError(at, 'expected an object');
+  if(t.category !== undefined && !TILE_CATEGORIES.includes(t.category)) throw new MapFormatError(`${at}.category`, `expected one of ${TILE_CATEGORIES.join(', ')}, got ${describe(t.category)}`);
+  if(t.passable !== undefined && typeof t.passable !== 'boolean') throw new MapFormatError(`${at}.passable`, 'expected true or false');
+  if(t.cost !== undefined && !(typeof t.cost === 'number' && t.cost > 0 && isFinite(t.cost))) throw new MapFormatError(`${at}.cost`, `expected a positive number, got ${describe(t.cost)}`);
+  if(t.capacity !== undefined && !(Number.isInteger(t.capacity) && t.capacity >= 0)) throw new MapFormatError(`${at}.capacity`, `expected a whole number ≥ 0, got ${describe(t.capacity)}`);
+  if(!optStr(t.label)) throw new MapFormatError(`${at}.label`, 'expected a string');
+  return Object.assign({}, t);
+}
+
+// tile metadata of unknown origin (the browser's stored table): entries readTile accepts, the rest dropped
+function validTiles(map){
+  const out = {};
+  if(!isObj(map)) return out;
+  for(const k in map){
+    try { out[k] = readTile(map[k], `tiles[${JSON.stringify(k)}]`); }
+    catch(e){ if(!(e instanceof MapFormatError)) throw e; }
+  }
+  return out;
+}
+
+function readCell(a, at, grid){
+  for(const k of ['r', 'c']){
+    if(!Number.isInteger(a[k]) || a[k] < 0) throw new MapFormatError(`${at}.${k}`, `expected a whole number, got ${describe(a[k])}`);
+  }
+  if(!grid.inBounds(a.r, a.c)) throw new MapFormatError(at, `cell ${a.r},${a.c} is outside the ${grid.rows}×${grid.cols} map at that point`);
+}
+
+// shape of one timeline entry; `grid` is the replayed map just before it, for bounds checks
+function readAction(a, i, grid){
+  const at = `actions[${i}]`;
+  if(!isObj(a)) throw new MapFormatError(at, 'expected an object');
+  if(!isStr(a.type)) throw new MapFormatError(`${at}.type`, 'missing');
+  if((a.type === 'init') !== (i === 0)) throw new MapFormatError(`${at}.type`, i === 0 ? `the first action must be "init", got "${a.type}"` : '"init" may only appear first');
+  switch(a.type){
+    case 'init':
+      readGrid(a.snapshot, `${at}.snapshot`);
+      break;
+    case 'set':
+      readCell(a, at, grid);
+      readLayerIndex(a, at, grid);
+      if(!optStr(a.prev)) throw new MapFormatError(`${at}.prev`, 'expected a string');
+      if(!optStr(a.next)) throw new MapFormatError(`${at}.next`, 'expected a string');
+      break;
+    case 'multi':
+      if(!Array.isArray(a.items)) throw new MapFormatError(`${at}.items`, 'expected an array');
+      readLayerIndex(a, at, grid);
+      a.items.forEach((it, j) => {
+        if(!isObj(it)) throw new MapFormatError(`${at}.items[${j}]`, 'expected an object');
+        readCell(it, `${at}.items[${j}]`, grid);
+        if(!optStr(it.val)) throw new MapFormatError(`${at}.items[${j}].val`, 'expected a string');
+        if(!optStr(it.prev)) throw new MapFormatError(`${at}.items[${j}].prev`, 'expected a string');
+      });
+      break;
+    case 'fill':
+      if(!isStr(a.next) || a.next === 'randomize') throw new MapFormatError(`${at}.next`, `expected the fill emoji, got ${describe(a.next)}`);
+      if(a.prevCells !== undefined){
+        if(!Array.isArray(a.prevCells) || a.prevCells.length !== grid.cells.length || !a.prevCells.every(isStr)){
+          throw new MapFormatError(`${at}.prevCells`, `expected ${grid.cells.length} strings (the map before the fill)`);
+        }
+      }
+      if(a.prevLayers !== undefined){
+        if(!Array.isArray(a.prevLayers) || a.prevLayers.length !== grid.layers.length
+          || !a.prevLayers.every(l => Array.isArray(l) && l.length === grid.cells.length && l.every(isStr))){
+          throw new MapFormatError(`${at}.prevLayers`, `expected ${grid.layers.length} layers of ${grid.cells.length} strings (the map before the fill)`);
+        }
+      }
+      break;
+    case 'setlevel':
+      if(!isObj(a.level)) throw new MapFormatError(`${at}.level`, 'expected the level definition');
+      for(const k of ['rows', 'cols']){
+        if(!Number.isInteger(a.level[k]) || a.level[k] < 1 || a.level[k] > MAX_GRID_DIM) throw new MapFormatError(`${at}.level.${k}`, `expected an integer in 1..${MAX_GRID_DIM}, got ${describe(a.level[k])}`);
+      }
+      if(a.prev != null) readGrid(a.prev, `${at}.prev`);
+      break;
+    case 'resize':
+      readGrid(a.prev, `${at}.prev`);
+      readGrid(a.next, `${at}.next`);
+      break;
+    default:
+      throw new MapFormatError(`${at}.type`, `unknown action "${a.type}"`);
+  }
+}
+
+function readMode(m){
+  if(m == null) return null;
+  if(!isObj(m)) throw new MapFormatError('mode', 'expected an object');
+  if(!isStr(m.name)) throw new MapFormatError('mode.name', `expected a mode name, got ${describe(m.name)}`);
+  if(m.level != null && !isStr(m.level)) throw new MapFormatError('mode.level', 'expected a level id');
+  if(m.score !== undefined && typeof m.score !== 'number') throw new MapFormatError('mode.score', 'expected a number');
+  if(m.state != null && !isObj(m.state)) throw new MapFormatError('mode.state', 'expected an object');
+  return JSON.parse(JSON.stringify(m));
+}
+
+function readRng(r){
+  if(r == null) return null;
+  if(!isObj(r)) throw new MapFormatError('rng', 'expected an object');
+  if(!Number.isInteger(r.seed)) throw new MapFormatError('rng.seed', `expected an integer, got ${describe(r.seed)}`);
+  if(r.streams != null){
+    if(!isObj(r.streams)) throw new MapFormatError('rng.streams', 'expected an object');
+    for(const k in r.streams) if(!Number.isInteger(r.streams[k])) throw new MapFormatError(`rng.streams.${k}`, 'expected an integer state');
+  }
+  return {seed: r.seed, streams: Object.assign({}, r.streams)};
+}
+
+function readSave(raw){
+  const obj = migrateSave(raw);
+  const grid = readGrid(obj.grid, 'grid');
+  if(obj.registry !== null && !Array.isArray(obj.registry)) throw new MapFormatError('registry', 'expected an array of emoji');
+  const badReg = (obj.registry || []).findIndex(v => !isStr(v) || !v);
+  if(badReg >= 0) throw new MapFormatError(`registry[${badReg}]`, `expected an emoji, got ${describe(obj.registry[badReg])}`);
+  const tiles = readTiles(obj.tiles);
+  const mode = readMode(obj.mode);
+  const rng = readRng(obj.rng);
+  if(!Array.isArray(obj.actions) || !obj.actions.length) throw new MapFormatError('actions', 'expected a timeline starting with an "init" snapshot');
+  // validate each entry against the map as it is at that point, then check the replay lands on the saved map
+  const replay = new GridModel(1, 1);
+  const tl = new Timeline(replay);
+  obj.actions.forEach((a, i) => {
+    readAction(a, i, replay);
+    if(i === 0) replay.loadJSON(a.snapshot);
+    else tl.apply(a, 1);
+  });
+  if(replay.rows !== grid.rows || replay.cols !== grid.cols){
+    throw new MapFormatError('actions', `replay ends on a ${replay.rows}×${replay.cols} map but grid is ${grid.rows}×${grid.cols}`);
+  }
+  const drift = grid.cells.reduce((n, v, i) => n + (v !== replay.cells[i]), 0);
+  if(drift) throw new MapFormatError('actions', `replay differs from grid in ${drift} cell${drift === 1 ? '' : 's'}`);
+  (grid.layers || []).forEach((l, k) => {
+    const other = replay.layers[k];
+    if(!other || other.name !== l.name) throw new MapFormatError('actions', `replay ends without grid layer "${l.name}"`);
+    const n = l.cells.reduce((acc, v, i) => acc + (v !== other.cells[i]), 0);
+    if(n) throw new MapFormatError('actions', `replay differs from grid layer "${l.name}" in ${n} cell${n === 1 ? '' : 's'}`);
+  });
+  if(obj.stamp != null && typeof obj.stamp !== 'number') throw new MapFormatError('stamp', 'expected a timestamp');
+  return {
+    version: SAVE_VERSION, grid, actions: JSON.parse(JSON.stringify(obj.actions)), registry: obj.registry && obj.registry.slice(),
+    tiles, mode, rng, stamp: obj.stamp || 0
+  };
+}
+
+// a bare Grid.toJSON() payload or a full save → {grid, registry}; registry null when the payload has none
+function readMapPayload(raw){
+  if(isObj(raw) && 'grid' in raw){ const save = readSave(raw); return {grid: save.grid, registry: save.registry}; }
+  return {grid: readGrid(raw, 'grid'), registry: null};
+}
+
+function replaySave(save){
+  const grid = new GridModel(1, 1);
+  if(!save.actions || !save.actions.length){ grid.loadJSON(save.grid); return grid; }
+  grid.loadJSON(save.actions[0].snapshot);
+  const tl = new Timeline(grid);
+  for(let i=1;i<save.actions.length;i++) tl.apply(save.actions[i], 1);
+  return grid;
+}
+
+/* ======================
+   Map diff
+   - two {rows, cols, cells} compared over their overlapping area (maps of different sizes report sameSize false)
+   - cells: [{r, c, kind, from, to}] with kind 'added' (empty → tile), 'removed' (tile → empty) or 'changed'
+   - registries: emoji only in a / only in b; nothing is reported when either side carries none
+   ====================== */
+const DIFF_KINDS = ['added', 'removed', 'changed'];
+
+function diffGrids(a, b){
+  const rows = Math.min(a.rows, b.rows), cols = Math.min(a.cols, b.cols);
+  const cells = [], counts = {added:0, removed:0, changed:0};
+  for(let r=0;r<rows;r++){
+    for(let c=0;c<cols;c++){
+      const from = a.cells[r * a.cols + c] || '', to = b.cells[r * b.cols + c] || '';
+      if(from === to) continue;
+      const kind = !from ? 'added' : !to ? 'removed' : 'changed';
+      counts[kind]++;
+      cells.push({r, c, kind, from, to});
+    }
+  }
+  return {rows, cols, sameSize: a.rows === b.rows && a.cols === b.cols, cells, counts};
+}
+
+function diffRegistry(a, b){
+  if(!a || !b) return {onlyA: [], onlyB: []};
+  const inA = new Set(a), inB = new Set(b);
+  return {onlyA: a.filter(v => !inB.has(v)), onlyB: b.filter(v => !inA.has(v))};
+}
+
+/* ======================
+   GIF encoder
+   - GIF89a with one global palette: the 256 most frequent colours (5 bits per channel) of the
+     frames passed to sample(); pixels map to the nearest entry
+   - each add() stores only the rectangle that differs from the previous frame (disposal "keep");
+     an unchanged frame just lengthens the previous one's delay
+   - LZW with codes up to 12 bits, cleared when the table fills
+   ====================== */
+const rgb15 = (d, p) => ((d[p] >> 3) << 10) | ((d[p+1] >> 3) << 5) | (d[p+2] >> 3);
+
+class GifEncoder {
+  constructor(width, height, opts={}){
+    this.width = width; this.height = height;
+    this.loop = opts.loop == null ? 0 : opts.loop; // 0 = forever, null = play once
+    this.counts = new Uint32Array(32768);
+    this.palette = null;  // 15-bit colours
+    this.lookup = null;   // 15-bit colour → palette index (-1 = not resolved yet)
+    this.prev = null;     // palette indices of the last frame
+    this.frames = [];     // {x, y, w, h, data, delay}
+  }
+
+  // count colours (every `step`-th pixel) before the first add()
+  sample(rgba, step=1){
+    for(let p=0;p<rgba.length;p+=4*step) this.counts[rgb15(rgba, p)]++;
+  }
+
+  buildPalette(){
+    const used = [];
+    for(let k=0;k<32768;k++) if(this.counts[k]) used.push(k);
+    used.sort((a, b) => this.counts[b] - this.counts[a]);
+    this.palette = used.length ? used.slice(0, 256) : [0];
+    this.lookup = new Int16Array(32768).fill(-1);
+    this.palette.forEach((k, i) => { this.lookup[k] = i; });
+  }
+
+  nearest(k){
+    const r = k >> 10, g = (k >> 5) & 31, b = k & 31;
+    let best = 0, bestD = Infinity;
+    this.palette.forEach((q, i) => {
+      const dr = r - (q >> 10), dg = g - ((q >> 5) & 31), db = b - (q & 31);
+      const d = 3*dr*dr + 4*dg*dg + 2*db*db;
+      if(d < bestD){ bestD = d; best = i; }
+    });
+    return (this.lookup[k] = best);
+  }
+
+  add(rgba, delayMs){
+    if(!this.palette) this.buildPalette();
+    const {width: w, height: h} = this, px = new Uint8Array(w * h);
+    for(let i=0, p=0;i<px.length;i++, p+=4){
+      const k = rgb15(rgba, p), idx = this.lookup[k];
+      px[i] = idx >= 0 ? idx : this.nearest(k);
+    }
+    // bounding box of the change
+    let x0 = 0, y0 = 0, x1 = w - 1, y1 = h - 1;
+    if(this.prev){
+      x0 = w; y0 = h; x1 = -1; y1 = -1;
+      for(let y=0;y<h;y++) for(let x=0;x<w;x++){
+        if(px[y*w + x] === this.prev[y*w + x]) continue;
+        if(x < x0) x0 = x; if(x > x1) x1 = x;
+        if(y < y0) y0 = y; y1 = y;
+      }
+      if(x1 < 0){ this.frames[this.frames.length - 1].delay += delayMs; return; }
+    }
+    const fw = x1 - x0 + 1, fh = y1 - y0 + 1, data = new Uint8Array(fw * fh);
+    for(let y=0;y<fh;y++) data.set(px.subarray((y0 + y) * w + x0, (y0 + y) * w + x0 + fw), y * fw);
+    this.frames.push({x: x0, y: y0, w: fw, h: fh, data, delay: delayMs});
+    this.prev = px;
+  }
+
+  finish(){
+    const out = [];
+    const u8 = v => out.push(v & 255);
+    const u16 = v => out.push(v & 255, (v >> 8) & 255);
+    const str = t => { for(const ch of t) out.push(ch.charCodeAt(0)); };
+    if(!this.palette) this.buildPalette();
+    str('GIF89a'); u16(this.width); u16(this.height);
+    u8(0xF7); u8(0); u8(0); // global table of 256 colours, 8-bit resolution
+    for(let i=0;i<256;i++){
+      const k = this.palette[i] || 0;
+      for(const v of [k >> 10, (k >> 5) & 31, k & 31]) u8((v << 3) | (v >> 2));
+    }
+    if(this.loop != null){ u8(0x21); u8(0xFF); u8(11); str('NETSCAPE2.0'); u8(3); u8(1); u16(this.loop); u8(0); }
+    for(const f of this.frames){
+      u8(0x21); u8(0xF9); u8(4); u8(1 << 2); u16(Math.max(2, Math.round(f.delay / 10))); u8(0); u8(0);
+      u8(0x2C); u16(f.x); u16(f.y); u16(f.w); u16(f.h); u8(0);
+      u8(8);
+      const lz = gifLzw(f.data, 8);
+      for(let i=0;i<lz.length;i+=255){
+        const n = Math.min(255, lz.length - i);
+        u8(n);
+        for(let j=0;j<n;j++) out.push(lz[i + j]);
+      }
+      u8(0);
+    }
+    u8(0x3B);
+    return Uint8Array.from(out);
+  }
+}
+
+function gifLzw(indices, minSize){
+  const clear = 1 << minSize, eoi = clear + 1, bytes = [];
+  let size = minSize + 1, next = eoi + 1, table = new Map();
+  let acc = 0, bits = 0;
+  const emit = code => {
+    acc |= code << bits; bits += size;
+    while(bits >= 8){ bytes.push(acc & 255); acc >>>= 8; bits -= 8; }
+  };
+  emit(clear);
+  let prefix = indices[0];
+  for(let i=1;i<indices.length;i++){
+    const k = indices[i], key = (prefix << 8) | k, code = table.get(key);
+    if(code !== undefined){ prefix = code; continue; }
+    emit(prefix);
+    if(next === 4096){ emit(clear); table.clear(); size = minSize + 1; next = eoi + 1; }
+    else { if(next >= (1 << size)) size++; table.set(key, next++); }
+    prefix = k;
+  }
+  emit(prefix); emit(eoi);
+  if(bits) bytes.push(acc & 255);
+  return bytes;
+}
+
+return {
+  clamp, now,
+  hashSeed, parseSeed, mulberry32, createRng,
+  TILE_CATEGORIES, TILE_DEFAULT, TILE_EMPTY, defaultTiles, tiles, tileInfo, isHouse, isWork, packTiles, applyTiles,
+  splitGraphemes, normalizeEmoji, isEmojiGrapheme, parseEmojiInput,
+  MAX_GRID_DIM, DEFAULT_LAYERS, MAX_LAYERS, composeLayers, GridModel, resizeCells, resizeMap,
+  tileWeight, octile, minHeap, searchGrid, flowField, PATHFINDERS, PATHFINDER_LABELS, runPathfinder, pathfinderSource, pathWorkerSource, AStar, workReach,
+  TRAFFIC, TrafficSim,
+  LEVELS, Objectives,
+  CHECKPOINT_EVERY, Timeline,
+  SAVE_VERSION, SAVE_MIGRATIONS, MapFormatError, migrateSave, toSave, readSave, readMapPayload, replaySave, validTiles,
+  DIFF_KINDS, diffGrids, diffRegistry,
+  GifEncoder
+};
+});
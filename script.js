@@ -1,11 +1,13 @@
 /* script.js - Emojiton Ultra Mega Edition
    Features:
-   - Custom element <emoji-cell>
+   - Browser UI over the DOM-free core in core.js (grid model, A*, traffic, objectives, timeline, saves)
+   - Custom element <emoji-cell> grid, canvas renderer (culling, dirty rects) for large maps
    - Emoji registry as Proxy with persistence & hooks
-   - Main-thread A* + WebWorker A* (typed arrays, heap)
-   - Diagonal movement, weights, traffic delays, multi-agent smoothing
+   - Pathfinders (A*, Dijkstra, bidirectional A*, jump point search, flow fields) on the main thread or a WebWorker pool (request ids, cancellation, map diffs)
+   - Path debugger overlay: explored/open sets, g/f on hover, step-through expansion
+   - Diagonal movement, weights, persistent multi-agent traffic (capacity, queuing, re-planning)
    - Matrix canvas with layered effects
-   - Time-lapse recording (actions), generator-based undo/redo
+   - Time-lapse recording (actions), command-stack undo/redo (inverse ops + checkpoints)
    - Zoom/pan (mouse wheel, drag, touch pinch), inertial
    - Save/Load/Export/Import/Share (URL hash)
    - Konami easter egg & secret pack
@@ -13,14 +15,22 @@
    - Many uncommon patterns / gimmicks
 */
 
+/* ======================
+   Headless core (core.js): model, pathing, simulation, objectives, timeline, saves
+   ====================== */
+const {
+  clamp, now, createRng,
+  TILE_CATEGORIES, tiles, tileInfo, isHouse, isWork, packTiles, applyTiles, normalizeEmoji, isEmojiGrapheme, parseEmojiInput,
+  MAX_GRID_DIM, MAX_LAYERS, GridModel, composeLayers, resizeMap, PATHFINDERS, PATHFINDER_LABELS, runPathfinder, pathWorkerSource, AStar, workReach, TrafficSim,
+  LEVELS, Objectives, Timeline, MapFormatError, toSave, readSave, readMapPayload, validTiles, diffGrids, diffRegistry, GifEncoder
+} = EmojitonCore;
+
 /* ======================
    Utility helpers
    ====================== */
 const $ = s => document.querySelector(s);
 const $$ = s => Array.from(document.querySelectorAll(s));
-const clamp = (v,a,b) => Math.max(a, Math.min(b, v));
 const uid = (n=8) => Math.random().toString(36).slice(2, 2+n);
-const now = () => Date.now();
 const makeElem = (t, attrs={}, text='') => { const e=document.createElement(t); for(const k in attrs) e.setAttribute(k, attrs[k]); if(text) e.textContent=text; return e; };
 
 /* ======================
@@ -42,17 +52,35 @@ themeToggle.addEventListener('change', e=>{
   const on = e.target.checked;
   if(on) { body.classList.add('light-on'); localStorage.setItem('emojiton-theme','light'); }
   else { body.classList.remove('light-on'); localStorage.setItem('emojiton-theme','dark'); }
+  if(Game.grid) Game.grid.view.updateAll(); // the canvas view paints theme colours itself
   if(window.__SFX_ON) playBlip();
 });
 
+/* ======================
+   Seeded random (streams per consumer, see core.js)
+   ====================== */
+const Rng = createRng(Math.floor(Math.random() * 0x100000000)); // fresh per session, shown in the UI for bug reports
+
 /* ======================
    Emoji Registry (Proxy)
    - unusual: changes auto-persist, emits hooks, can veto changes
    ====================== */
 const REG_KEY = 'emojiton.registry.v3';
 const defaultPack = ['🏠','🏡','🏢','🌳','🚗','🛣️','🏥','🛒','🏫','🚉','🌲','🌻','🚜','🐄','🚀','🪐','👽','🛰️'];
+// a palette entry from outside (storage, save, share link): its normalised emoji, or null unless it is exactly one
+function registryEntry(v){
+  if(typeof v !== 'string') return null;
+  const e = normalizeEmoji(v.trim());
+  return isEmojiGrapheme(e) ? e : null;
+}
+// a whole stored palette: valid entries only, normalised, first occurrence kept
+function registryEntries(list){
+  const out = [];
+  for(const v of list){ const e = registryEntry(v); if(e && !out.includes(e)) out.push(e); }
+  return out;
+}
 function loadRegistry(){
-  try { const raw = localStorage.getItem(REG_KEY); if(raw) return JSON.parse(raw); }
+  try { const raw = localStorage.getItem(REG_KEY); if(raw) return registryEntries(JSON.parse(raw)); }
   catch(e){}
   return defaultPack.slice();
 }
@@ -74,6 +102,32 @@ const registryHandler = {
 };
 const EmojiRegistry = new Proxy(_registry, registryHandler);
 
+/* ======================
+   Tile semantics (Proxy)
+   - the core's tile table (category, passable, move cost, capacity, label) wrapped to persist
+     like the registry; unknown emojis fall back to the core's TILE_DEFAULT
+   ====================== */
+const TILE_KEY = 'emojiton.tiles.v1';
+function loadTiles(){
+  try { const raw = localStorage.getItem(TILE_KEY); if(raw) Object.assign(tiles, validTiles(JSON.parse(raw))); } // bad entries dropped
+  catch(e){}
+  return tiles;
+}
+const TileMeta = new Proxy(loadTiles(), {
+  set(target, prop, val){
+    target[prop] = val;
+    localStorage.setItem(TILE_KEY, JSON.stringify(target));
+    Log.event(`Tile meta set [${prop}]`);
+    if(Game.aStar) Game.aStar.cache.clear();
+    Game.scheduleObjectives();
+    return true;
+  },
+  deleteProperty(target, prop){
+    delete target[prop];
+    localStorage.setItem(TILE_KEY, JSON.stringify(target));
+    return true;
+  }
+});
 /* ======================
    Custom Element <emoji-cell>
    - stores r,c and value
@@ -85,46 +139,48 @@ class EmojiCell extends HTMLElement {
   }
   connectedCallback(){}
   set coords(o){ this._r=o.r; this._c=o.c; this.dataset.r=o.r; this.dataset.c=o.c; }
-  set value(v){ this._val = v || ''; this.textContent = this._val; this.classList.toggle('empty', !this._val); }
+  set value(v){ this._val = v || ''; this.textContent = this._val; this.classList.toggle('empty', !this._val); this.classList.remove('stacked'); }
   get value(){ return this._val; }
+  // visible layer values bottom → top as [{v, opacity}]; one opaque value stays plain text
+  set stack(list){
+    if(list.length <= 1 && (!list.length || list[0].opacity === 1)){ this.value = list.length ? list[0].v : ''; return; }
+    this._val = list[list.length - 1].v;
+    this.textContent = '';
+    for(const l of list){ const s = document.createElement('span'); s.textContent = l.v; s.style.opacity = l.opacity; this.appendChild(s); }
+    this.classList.remove('empty');
+    this.classList.add('stacked');
+  }
   highlight(on=true){ this.classList.toggle('highlight', !!on); }
 }
 customElements.define('emoji-cell', EmojiCell);
 
 /* ======================
    Grid class
-   - manages DOM, cell mapping, JSON import/export
+   - the core GridModel plus geometry and a view
+   - drawing is delegated to a view: DomGridView (one <emoji-cell> per tile) or,
+     for large maps, CanvasGridView; both hit-test pointer coordinates back to r/c
    ====================== */
-class Grid {
+const GRID_PAD = 12, GRID_GAP = 6;
+const CANVAS_THRESHOLD = 64 * 64; // above this many cells 'auto' switches to the canvas view
+const RENDER_MODES = ['auto', 'dom', 'canvas'];
+
+class Grid extends GridModel {
   constructor(rows=12, cols=16, cellPx=48){
-    this.rows = rows; this.cols = cols;
-    this.cells = new Array(rows * cols).fill('');
+    super(rows, cols);
     this.container = $('#grid-wrap');
     this.cellPx = cellPx;
     this.scale = 1;
-    this.initDOM();
+    this.renderMode = 'auto';
+    this.view = null;
+    this.initView();
   }
 
-  index(r,c){ return r * this.cols + c; }
-  initDOM(){
-    this.container.innerHTML = '';
-    this.container.style.gridTemplateColumns = `repeat(${this.cols}, var(--cell))`;
-    this.container.style.gap = '6px';
-    for(let r=0;r<this.rows;r++){
-      for(let c=0;c<this.cols;c++){
-        const el = document.createElement('emoji-cell');
-        el.className = 'empty';
-        el.coords = {r,c};
-        el.value = '';
-        el.addEventListener('click', (e) => UI.onCellClick(el, r, c));
-        el.addEventListener('dblclick', (e) => {
-          // quick meta edit popover (prompt)
-          const p = prompt('Edit tile (emoji) — empty to clear', el.value || '');
-          if(p !== null){ Game.recordAction({type:'set', r, c, prev: el.value, next: p}); this.set(r,c,p); }
-        });
-        this.container.appendChild(el);
-      }
-    }
+  // (re)build the view for the current size & render mode
+  initView(){
+    const mode = this.renderMode === 'auto' ? (this.rows * this.cols > CANVAS_THRESHOLD ? 'canvas' : 'dom') : this.renderMode;
+    if(this.view) this.view.destroy();
+    this.view = mode === 'canvas' ? new CanvasGridView(this) : new DomGridView(this);
+    this.view.build();
     this.updateGridSizeCss();
   }
 
@@ -133,352 +189,821 @@ class Grid {
     document.documentElement.style.setProperty('--cell', `${this.cellPx}px`);
   }
 
-  get(r,c){ return this.cells[this.index(r,c)]; }
-  set(r,c,val, silent=false){
-    this.cells[this.index(r,c)] = val || '';
-    const el = this.container.children[this.index(r,c)];
-    if(el) el.value = val || '';
-    if(!silent) this.updateStats();
-  }
+  setScale(s){ this.scale = s; this.view.applyZoom(); }
 
-  multiSet(updates){ // updates: [{r,c,val}]
-    for(const u of updates) this.set(u.r,u.c,u.val,true);
-    this.updateStats();
+  /* ---- geometry (unscaled px, relative to #grid-wrap); identical for both views ---- */
+  pixelSize(){
+    const pitch = this.cellPx + GRID_GAP;
+    return {w: GRID_PAD*2 + this.cols*pitch - GRID_GAP, h: GRID_PAD*2 + this.rows*pitch - GRID_GAP};
+  }
+  cellOrigin(r,c){
+    const pitch = this.cellPx + GRID_GAP;
+    return {x: GRID_PAD + c*pitch, y: GRID_PAD + r*pitch};
   }
+  // scaled centre of a cell, for overlays positioned inside the viewport
+  cellCenter(r,c){
+    const o = this.cellOrigin(r,c), half = this.cellPx / 2;
+    return {x: (o.x + half) * this.scale, y: (o.y + half) * this.scale};
+  }
+  // unscaled point → cell; gaps belong to the cell above/left so drags stay continuous
+  cellAtPoint(x,y){
+    const pitch = this.cellPx + GRID_GAP;
+    const r = Math.floor((y - GRID_PAD) / pitch), c = Math.floor((x - GRID_PAD) / pitch);
+    if(r < 0 || c < 0 || r >= this.rows || c >= this.cols) return null;
+    return {r, c};
+  }
+  cellAt(clientX, clientY){ return this.view.cellAt(clientX, clientY); }
 
-  fillAll(val){
-    for(let i=0;i<this.cells.length;i++){
-      this.cells[i] = val || '';
-      const el = this.container.children[i]; if(el) el.value = val || '';
-    }
-    this.updateStats();
+  // what the views draw at cell i: non-empty values of the visible layers, bottom first
+  stackAt(i){
+    const out = [];
+    for(const l of this.layers) if(l.visible && l.cells[i]) out.push({v: l.cells[i], opacity: l.opacity});
+    return out;
   }
 
-  clear(){ this.fillAll(''); }
+  // GridModel hooks → view & stats
+  cellChanged(i){ this.view.update(i); }
+  cellsChanged(){ this.view.updateAll(); }
+  reshaped(){ this.initView(); }
+  layersChanged(){ this.view.updateAll(); }
+  changed(){ this.updateStats(); }
+
+  updateStats(){
+    UI.updateFilled(this.cells.filter(Boolean).length);
+    Game.scheduleObjectives();
+  }
+}
 
-  toJSON(){ return {rows:this.rows, cols:this.cols, cells:this.cells.slice()}; }
-  loadJSON(obj){
-    this.rows = obj.rows; this.cols = obj.cols; this.cells = obj.cells.slice();
-    this.initDOM();
-    for(let i=0;i<this.cells.length;i++){
-      const el = this.container.children[i];
-      if(el) el.value = this.cells[i];
+/* DOM view: a CSS grid of <emoji-cell>; fine up to a few thousand tiles */
+class DomGridView {
+  constructor(grid){ this.grid = grid; this.wrap = grid.container; }
+  build(){
+    const g = this.grid, wrap = this.wrap;
+    wrap.classList.remove('canvas-mode');
+    wrap.style.width = wrap.style.height = '';
+    wrap.innerHTML = '';
+    wrap.style.gridTemplateColumns = `repeat(${g.cols}, var(--cell))`;
+    wrap.style.gap = GRID_GAP + 'px';
+    const frag = document.createDocumentFragment();
+    for(let r=0;r<g.rows;r++){
+      for(let c=0;c<g.cols;c++){
+        const el = document.createElement('emoji-cell');
+        el.coords = {r,c};
+        el.stack = g.stackAt(g.index(r,c));
+        frag.appendChild(el);
+      }
+    }
+    wrap.appendChild(frag);
+    this.applyZoom();
+  }
+  destroy(){}
+  applyZoom(){ this.wrap.style.transform = `scale(${this.grid.scale})`; }
+  update(i){ const el = this.wrap.children[i]; if(el) el.stack = this.grid.stackAt(i); }
+  updateAll(){ for(let i=0;i<this.grid.cells.length;i++) this.update(i); }
+  highlight(rect){
+    const g = this.grid, cells = this.wrap.children;
+    for(let i=0;i<cells.length;i++){
+      const r = Math.floor(i / g.cols), c = i % g.cols;
+      if(cells[i].highlight) cells[i].highlight(!!rect && r >= rect.r0 && r <= rect.r1 && c >= rect.c0 && c <= rect.c1);
     }
-    this.updateStats();
   }
+  // touch and pen pointers are implicitly captured, so hit-test rather than trusting e.target
+  cellAt(x,y){
+    const hit = document.elementFromPoint(x, y);
+    const el = hit && hit.closest && hit.closest('emoji-cell');
+    return el && this.wrap.contains(el) ? {r: el._r, c: el._c} : null;
+  }
+}
 
-  updateStats(){
-    UI.updateFilled(this.cells.filter(Boolean).length);
+/* Canvas view: one viewport-sized canvas pinned to the scroll position.
+   - culling: only cells intersecting the visible area are drawn
+   - dirty rects: set() queues the cell, one rAF repaints just those cells
+   - glyphs are rasterised once per emoji, size & theme and blitted */
+class CanvasGridView {
+  constructor(grid){
+    this.grid = grid; this.wrap = grid.container; this.vp = $('#viewport');
+    this.canvas = null; this.ctx = null;
+    this.dirty = new Set(); this.full = true; this.raf = 0;
+    this.sel = null; this.glyphs = new Map();
+    this.origin = {x:0, y:0};
+    this.onScroll = ()=> this.invalidate();
+  }
+  build(){
+    const wrap = this.wrap;
+    wrap.innerHTML = '';
+    wrap.style.transform = ''; wrap.style.gridTemplateColumns = '';
+    wrap.classList.add('canvas-mode');
+    this.canvas = makeElem('canvas', {class:'grid-canvas'});
+    wrap.appendChild(this.canvas);
+    this.ctx = this.canvas.getContext('2d');
+    this.vp.addEventListener('scroll', this.onScroll, {passive:true});
+    window.addEventListener('resize', this.onScroll);
+    this.applyZoom();
+  }
+  destroy(){
+    this.vp.removeEventListener('scroll', this.onScroll);
+    window.removeEventListener('resize', this.onScroll);
+    if(this.raf) cancelAnimationFrame(this.raf);
+    this.raf = 0;
+    this.wrap.classList.remove('canvas-mode');
+  }
+  applyZoom(){
+    // the wrapper only provides the scrollable extent; the canvas itself never exceeds the viewport
+    const g = this.grid, size = g.pixelSize();
+    this.wrap.style.width = Math.ceil(size.w * g.scale) + 'px';
+    this.wrap.style.height = Math.ceil(size.h * g.scale) + 'px';
+    this.invalidate();
+  }
+  invalidate(){ this.full = true; this.schedule(); }
+  update(i){ this.dirty.add(i); this.schedule(); }
+  updateAll(){ this.invalidate(); }
+  highlight(rect){ this.sel = rect; this.invalidate(); }
+  schedule(){
+    if(!this.raf) this.raf = requestAnimationFrame(()=>{ this.raf = 0; this.draw(); });
+  }
+  cellAt(x,y){
+    const b = this.wrap.getBoundingClientRect(), s = this.grid.scale;
+    return this.grid.cellAtPoint((x - b.left) / s, (y - b.top) / s);
+  }
+  // visible cell range for the current scroll position
+  range(){
+    const g = this.grid, s = g.scale, pitch = g.cellPx + GRID_GAP;
+    const x0 = this.origin.x / s, y0 = this.origin.y / s;
+    const x1 = x0 + this.vw / s, y1 = y0 + this.vh / s;
+    return {
+      r0: clamp(Math.floor((y0 - GRID_PAD) / pitch), 0, g.rows-1), r1: clamp(Math.floor((y1 - GRID_PAD) / pitch), 0, g.rows-1),
+      c0: clamp(Math.floor((x0 - GRID_PAD) / pitch), 0, g.cols-1), c1: clamp(Math.floor((x1 - GRID_PAD) / pitch), 0, g.cols-1)
+    };
+  }
+  draw(){
+    const g = this.grid, ctx = this.ctx;
+    if(!ctx) return;
+    if(this.full){
+      const vp = this.vp, dpr = window.devicePixelRatio || 1;
+      const size = g.pixelSize();
+      this.vw = Math.max(1, Math.min(vp.clientWidth || size.w, size.w * g.scale));
+      this.vh = Math.max(1, Math.min(vp.clientHeight || size.h, size.h * g.scale));
+      this.origin = {x: vp.scrollLeft, y: vp.scrollTop};
+      const w = Math.round(this.vw * dpr), h = Math.round(this.vh * dpr);
+      if(this.canvas.width !== w || this.canvas.height !== h){
+        this.canvas.width = w; this.canvas.height = h;
+        this.canvas.style.width = this.vw + 'px'; this.canvas.style.height = this.vh + 'px';
+      }
+      this.canvas.style.transform = `translate(${this.origin.x}px, ${this.origin.y}px)`;
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, this.vw, this.vh);
+      this.light = document.body.classList.contains('light-on');
+      const {r0, r1, c0, c1} = this.range();
+      for(let r=r0;r<=r1;r++) for(let c=c0;c<=c1;c++) this.drawCell(r, c);
+      this.full = false;
+    } else {
+      const {r0, r1, c0, c1} = this.range();
+      for(const i of this.dirty){
+        const r = Math.floor(i / g.cols), c = i % g.cols;
+        if(r < r0 || r > r1 || c < c0 || c > c1) continue; // culled, drawn when scrolled into view
+        this.drawCell(r, c, true);
+      }
+    }
+    this.dirty.clear();
+  }
+  drawCell(r, c, erase){
+    const g = this.grid, ctx = this.ctx, s = g.scale;
+    const o = g.cellOrigin(r, c);
+    const x = o.x * s - this.origin.x, y = o.y * s - this.origin.y, size = g.cellPx * s;
+    if(erase) ctx.clearRect(x - 1, y - 1, size + 2, size + 2);
+    const stack = g.stackAt(g.index(r, c));
+    ctx.globalAlpha = stack.length ? 1 : 0.25;
+    ctx.fillStyle = this.light ? '#ffffff' : 'rgba(255,255,255,0.05)';
+    ctx.beginPath();
+    if(ctx.roundRect) ctx.roundRect(x, y, size, size, 9 * s); else ctx.rect(x, y, size, size);
+    ctx.fill();
+    for(const l of stack){ ctx.globalAlpha = l.opacity; ctx.drawImage(this.glyph(l.v, size), x, y, size, size); }
+    ctx.globalAlpha = 1;
+    const sel = this.sel;
+    if(sel && r >= sel.r0 && r <= sel.r1 && c >= sel.c0 && c <= sel.c1){
+      ctx.strokeStyle = 'rgba(108,140,255,0.75)'; ctx.lineWidth = 2;
+      ctx.strokeRect(x + 1, y + 1, size - 2, size - 2);
+    }
+  }
+  glyph(v, size){
+    const px = Math.max(8, Math.round(size * (window.devicePixelRatio || 1)));
+    const key = `${v}|${px}|${this.light ? 1 : 0}`; // the fill colour follows the theme
+    let img = this.glyphs.get(key);
+    if(img) return img;
+    if(this.glyphs.size > 512) this.glyphs.clear(); // zooming churns sizes; keep the cache bounded
+    img = typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(px, px) : makeElem('canvas', {width:px, height:px});
+    const gx = img.getContext('2d');
+    gx.font = `${Math.round(px * 0.5)}px serif`;
+    gx.textAlign = 'center'; gx.textBaseline = 'middle';
+    gx.fillStyle = this.light ? '#0b1220' : '#e6eef8';
+    gx.fillText(v, px / 2, px / 2 + px * 0.03);
+    this.glyphs.set(key, img);
+    return img;
   }
 }
 
 /* ======================
-   Pathfinding: A* Implementation (main-thread)
-   - supports diagonal moves, weights, caching
-   - used as fallback or for small maps
+   Path workers
+   - Worker code is generated as a Blob so we keep only three files
+   - the script is core pathWorkerSource(): the same pathfinders as the main thread, behind a small
+     message protocol (whole 'map' once, then 'diff's; 'find'/'cancel' by request id)
+   - PathPool sends the map as transferred typed arrays; any number of requests can be in flight
+   - users: the traffic sim (Game.simRouter, one key per commuter), the path debugger and the benchmark
    ====================== */
-class AStar {
-  constructor(grid){
-    this.grid = grid;
-    this.cache = new Map(); // cache paths keyed by start|goal|mask hash
-    this.diagonal = true;
+function createPathWorker(){
+  const blob = new Blob([pathWorkerSource()], {type: 'application/javascript'});
+  const url = URL.createObjectURL(blob);
+  return new Worker(url);
+}
+
+// a request that was cancelled or superseded before its answer arrived
+class PathCancelled extends Error {}
+
+class PathPool {
+  constructor(size){
+    this.size = size || Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+    this.workers = []; // {worker, load}
+    this.pending = new Map(); // id → {resolve, reject, entry, key}
+    this.keys = new Map(); // key → id of the newest request under it
+    this.nextId = 1;
+    this.rows = 0; this.cols = 0; this.weights = null; // the map every worker holds
   }
 
-  neighbors(r,c){
-    const out = [];
-    const dirs = this.diagonal ? [[1,0],[-1,0],[0,1],[0,-1],[1,1],[1,-1],[-1,1],[-1,-1]] : [[1,0],[-1,0],[0,1],[0,-1]];
-    for(const d of dirs){
-      const nr=r+d[0], nc=c+d[1];
-      if(nr>=0 && nc>=0 && nr<this.grid.rows && nc<this.grid.cols) out.push({r:nr,c:nc});
+  // workers start on first use; a failed one is replaced on the next request
+  fill(){
+    while(this.workers.length < this.size){
+      const entry = {worker: createPathWorker(), load: 0};
+      entry.worker.addEventListener('message', (e)=> this.onReply(e.data));
+      entry.worker.addEventListener('error', (e)=> this.onError(entry, e));
+      this.workers.push(entry);
+      if(this.weights) this.sendMap(entry);
     }
-    return out;
   }
 
-  heuristic(a,b){
-    if(this.diagonal){
-      const dx=Math.abs(a.r-b.r), dy=Math.abs(a.c-b.c);
-      return Math.max(dx,dy);
-    }
-    return Math.abs(a.r-b.r)+Math.abs(a.c-b.c);
-  }
-
-  passablePredicate(mask){
-    // mask: Uint8Array or simple function
-    if(!mask) return ()=>true;
-    if(typeof mask === 'function') return mask;
-    // mask is Set or array of booleans
-    return p => !!mask[p.r*this.grid.cols + p.c];
-  }
-
-  findPath(start,goal,maskOrFn){
-    // build cache key
-    const key = `${start.r},${start.c}|${goal.r},${goal.c}|${this.grid.rows}x${this.grid.cols}`;
-    if(this.cache.has(key)) return this.cache.get(key).slice();
-
-    const passable = this.passablePredicate(maskOrFn);
-    const cols = this.grid.cols;
-    const rows = this.grid.rows;
-    const size = rows*cols;
-
-    const g = new Float64Array(size); g.fill(Infinity);
-    const f = new Float64Array(size); f.fill(Infinity);
-    const open = new Set();
-    const cameFrom = new Int32Array(size); cameFrom.fill(-1);
-
-    const idx = (p)=>p.r*cols + p.c;
-    const startIdx = idx(start), goalIdx = idx(goal);
-
-    g[startIdx]=0; f[startIdx]=this.heuristic(start,goal); open.add(startIdx);
-
-    while(open.size){
-      // pick lowest f in open
-      let current=-1, min=Infinity;
-      for(const k of open){ if(f[k] < min){ min=f[k]; current=k; } }
-      if(current === goalIdx) break;
-      open.delete(current);
-      const cr = Math.floor(current / cols), cc = current % cols;
-      for(const n of this.neighbors(cr,cc)){
-        if(!passable(n)) continue;
-        const ni = idx(n);
-        const cost = g[current] + this.getMoveCost(cr,cc,n.r,n.c);
-        if(cost < g[ni]){
-          cameFrom[ni] = current;
-          g[ni] = cost;
-          f[ni] = cost + this.heuristic(n,goal);
-          open.add(ni);
-        }
-      }
-    }
+  sendMap(entry){
+    const copy = this.weights.slice();
+    entry.worker.postMessage({cmd:'map', rows: this.rows, cols: this.cols, weights: copy}, [copy.buffer]);
+  }
 
-    if(cameFrom[goalIdx] === -1) return null;
-    const path = [];
-    let cur = goalIdx;
-    while(cur !== -1){
-      path.unshift({r:Math.floor(cur/cols), c:cur%cols});
-      cur = cameFrom[cur];
+  // bring every worker's map up to `weights`: whole on a resize or a large change, else just the changed cells
+  sync(rows, cols, weights){
+    if(!this.weights || rows !== this.rows || cols !== this.cols){
+      this.rows = rows; this.cols = cols; this.weights = Float32Array.from(weights);
+      this.workers.forEach(e => this.sendMap(e));
+      return;
+    }
+    const idx = [], val = [];
+    for(let i=0;i<weights.length;i++) if(weights[i] !== this.weights[i]){ idx.push(i); val.push(weights[i]); }
+    if(!idx.length) return;
+    this.weights.set(weights);
+    if(idx.length > weights.length / 4){ this.workers.forEach(e => this.sendMap(e)); return; }
+    for(const e of this.workers){
+      const di = Int32Array.from(idx), dv = Float32Array.from(val);
+      e.worker.postMessage({cmd:'diff', idx: di, val: dv}, [di.buffer, dv.buffer]);
     }
-    // cache small paths
-    if(path.length < 512) this.cache.set(key, path.slice());
-    return path;
   }
 
-  getMoveCost(r1,c1,r2,c2){
-    // heavier cost for diagonal (approx 1.4) and for tiles that are 'traffic' or 'difficult'
-    const base = (r1 !== r2 && c1 !== c2) ? 1.414 : 1.0;
-    const tile = this.grid.get(r2,c2) || '';
-    let mult = 1;
-    // weighted tiles: roads cheaper, water/heavy higher
-    if(tile === '🛣️' || tile === '🅿️') mult = 0.7;
-    if(tile === '🌲' || tile === '🌳') mult = 1.15;
-    if(tile === '🏗️' || tile === '🏭') mult = 1.3;
-    if(/🚗|🛸/.test(tile)) mult = 1.2;
-    return base * mult;
+  // req: {rows, cols, weights, start, goal, diagonal, algorithm, trace, key}; a newer request with the same
+  // key cancels an older one still in flight. Resolves the worker's reply {path, stats[, trace]}
+  find(req){
+    if(typeof Worker === 'undefined') return Promise.reject(new Error('Web Workers are not available'));
+    this.fill();
+    this.sync(req.rows, req.cols, req.weights);
+    if(req.key && this.keys.has(req.key)) this.cancel(this.keys.get(req.key));
+    const id = this.nextId++;
+    const entry = this.workers.reduce((a, b) => b.load < a.load ? b : a);
+    return new Promise((resolve, reject)=>{
+      this.pending.set(id, {resolve, reject, entry, key: req.key});
+      if(req.key) this.keys.set(req.key, id);
+      entry.load++;
+      entry.worker.postMessage({cmd:'find', id, start: req.start, goal: req.goal, diagonal: req.diagonal, algorithm: req.algorithm, trace: !!req.trace});
+    });
+  }
+
+  settle(id){
+    const p = this.pending.get(id);
+    if(!p) return null;
+    this.pending.delete(id);
+    p.entry.load--;
+    if(p.key && this.keys.get(p.key) === id) this.keys.delete(p.key);
+    return p;
+  }
+
+  onReply(data){
+    const p = data && data.cmd === 'result' && this.settle(data.id);
+    if(p) p.resolve(data); // replies to cancelled requests are dropped
+  }
+
+  cancel(id){
+    const p = this.settle(id);
+    if(!p) return false;
+    p.entry.worker.postMessage({cmd:'cancel', id});
+    p.reject(new PathCancelled(`path request ${id} cancelled`));
+    return true;
+  }
+
+  // drop whatever is in flight under key (a vehicle that arrived, a sim reset)
+  cancelKey(key){
+    return this.keys.has(key) && this.cancel(this.keys.get(key));
+  }
+
+  onError(entry, e){
+    Log.event(`Path worker failed: ${e.message || 'unknown error'}`);
+    for(const [id, p] of [...this.pending]) if(p.entry === entry){ this.settle(id); p.reject(new Error(e.message || 'path worker failed')); }
+    entry.worker.terminate();
+    this.workers = this.workers.filter(x => x !== entry);
+  }
+
+  terminate(){
+    for(const id of [...this.pending.keys()]) this.cancel(id);
+    this.workers.forEach(e => e.worker.terminate());
+    this.workers = [];
+    this.weights = null;
   }
 }
 
 /* ======================
-   Worker A* creation (typed arrays, heap)
-   - Worker code is generated as a Blob so we keep only three files
-   - Main thread sends grid mask and start/goal; worker returns path
+   Level progress (definitions & objective evaluators live in core.js)
    ====================== */
-function createAStarWorker(){
-  // worker source string (kept concise for readability)
-  const src = `
-  self.onmessage = function(e){
-    const msg = e.data;
-    if(msg.cmd === 'find'){
-      const rows = msg.rows, cols = msg.cols;
-      const start = msg.start, goal = msg.goal;
-      const passable = msg.passable; // array of 0/1
-      const size = rows * cols;
-      function idx(r,c){ return r*cols + c; }
-      function h(a,b){ const dx = Math.abs(a.r-b.r), dy = Math.abs(a.c-b.c); return Math.max(dx,dy); }
-      // typed arrays
-      const g = new Float64Array(size); for(let i=0;i<size;i++) g[i]=Infinity;
-      const f = new Float64Array(size); for(let i=0;i<size;i++) f[i]=Infinity;
-      const came = new Int32Array(size); for(let i=0;i<size;i++) came[i]=-1;
-      const open = new Uint8Array(size); // membership
-      // simple priority queue using binary heap of indices with separate f array
-      const heap = [];
-      function heapPush(k){ heap.push(k); siftUp(heap.length-1); }
-      function heapPop(){ if(!heap.length) return -1; const top = heap[0]; const last=heap.pop(); if(heap.length){ heap[0]=last; siftDown(0);} return top; }
-      function siftUp(i){ while(i>0){ const p=((i-1)/2)|0; if(f[heap[i]] < f[heap[p]]){ const t=heap[i]; heap[i]=heap[p]; heap[p]=t; i=p; } else break; } }
-      function siftDown(i){ const n = heap.length; while(true){ let l=2*i+1, r=2*i+2, smallest=i; if(l<n && f[heap[l]] < f[heap[smallest]]) smallest=l; if(r<n && f[heap[r]] < f[heap[smallest]]) smallest=r; if(smallest!==i){ const t=heap[i]; heap[i]=heap[smallest]; heap[smallest]=t; i=smallest; } else break; } }
-      const startIdx = idx(start.r,start.c), goalIdx = idx(goal.r,goal.c);
-      g[startIdx]=0; f[startIdx]=h(start,goal); heapPush(startIdx); open[startIdx]=1;
-      const dirs = [[1,0],[-1,0],[0,1],[0,-1],[1,1],[1,-1],[-1,1],[-1,-1]];
-      while(heap.length){
-        const current = heapPop();
-        if(current === goalIdx) break;
-        const cr = (current/cols)|0, cc = current%cols;
-        for(const d of dirs){
-          const nr = cr + d[0], nc = cc + d[1];
-          if(nr<0||nc<0||nr>=rows||nc>=cols) continue;
-          const ni = idx(nr,nc);
-          if(!passable[ni]) continue;
-          // cost heuristic: diagonal heavier
-          const base = (d[0] !== 0 && d[1] !== 0) ? 1.414 : 1.0;
-          const tentative = g[current] + base;
-          if(tentative < g[ni]){
-            came[ni] = current;
-            g[ni] = tentative;
-            f[ni] = tentative + Math.abs(nr - goal.r) + Math.abs(nc - goal.c);
-            if(!open[ni]){ heapPush(ni); open[ni]=1; }
-          }
-        }
-      }
-      if(came[goalIdx] === -1){ postMessage({cmd:'result', path:null}); return; }
-      const path = []; let k = goalIdx;
-      while(k !== -1){ path.unshift({r: (k/cols)|0, c: k%cols}); k = came[k]; }
-      postMessage({cmd:'result', path});
-    }
-  };
-  `;
-  const blob = new Blob([src], {type: 'application/javascript'});
-  const url = URL.createObjectURL(blob);
-  return new Worker(url);
+const LEVEL_KEY = 'emojiton.levels.v1';
+function loadLevelProgress(){
+  try { const raw = localStorage.getItem(LEVEL_KEY); if(raw) return Object.assign({unlocked:[], completed:[]}, JSON.parse(raw)); }
+  catch(e){}
+  return {unlocked:[], completed:[]};
 }
+function saveLevelProgress(p){
+  try { localStorage.setItem(LEVEL_KEY, JSON.stringify(p)); } catch(e){}
+}
+/* ======================
+   Game modes
+   - rule defaults per mode; a level may override them via def.modes[mode]
+   - timed: countdown + par score, puzzle: tile budget + locked palette,
+     endless: commuter demand ramps with sim ticks, sandbox: no rules
+   ====================== */
+const MODES = {
+  sandbox: {label:'Sandbox'},
+  timed: {label:'Timed', duration:180, par:120},
+  puzzle: {label:'Puzzle', budget:30, palette:['🏠','🏢','🛣️','🌳']},
+  endless: {label:'Endless', rampEvery:20, maxDemand:8}
+};
 
 /* ======================
    Game orchestrator
-   - grid instance, aStar main, worker handle, action recording
+   - grid instance, aStar main (one per grid, its route cache shared with the traffic sim), path worker pool, action recording
    ====================== */
 const Game = {
   grid: new Grid(12,16,48),
   aStar: null,
-  worker: null,
+  pathPool: null, // PathPool, workers start on the first off-thread search
   useWorker: true,
-  actions: [], // timeline actions for time-lapse & undo/redo
-  actionIndex: 0,
-  actionGen: null,
+  pathfinder: 'astar', // PATHFINDERS key used by the traffic sim, the debugger and the benchmark
+  timeline: null, // core Timeline: time-lapse & undo/redo; actions[0] is 'init'
   playing: false,
   simInterval: null,
   simSpeed: 1,
+  traffic: null, // TrafficSim, persistent vehicles between ticks
+  levels: [],
+  level: null, // active level definition (null in free play)
+  levelSolved: false,
+  levelProgress: {unlocked:[], completed:[]},
+  mode: 'sandbox',
+  modeState: {},
+  modeTimer: null,
   init(){
     this.aStar = new AStar(this.grid);
-    this.worker = createAStarWorker();
-    this.worker.addEventListener('message', (e)=> {
-      if(e.data && e.data.cmd === 'result'){ const p = e.data.path; if(p) Renderer.animateVehicle(p); }
-    });
+    this.timeline = new Timeline(this.grid, {level: ()=> this.level ? this.level.id : null, setLevel: id => this.setActiveLevel(id)});
+    this.traffic = new TrafficSim(this.grid, {random: ()=> Rng.random('sim'), paths: this.aStar});
+    this.pathPool = new PathPool();
     loadTheme();
     renderPalette();
     UI.init();
     this.setupLevels();
+    this.setMode('sandbox');
     this.startAutosave();
-    this.recordAction({type:'init', t: now(), snapshot: this.grid.toJSON()});
+    this.resetHistory();
     Log.event('Game initialized');
     UI.refreshAll();
   },
-  recordAction(action){
-    action.t = now();
-    this.actions.push(action);
-    this.actionIndex = this.actions.length;
-    this.actionGen = this._actionGenerator();
-  },
-  *_actionGenerator(){
-    // complicated generator that replays actions up to index and yields index
-    let idx = this.actionIndex;
-    while(true){
-      const cmd = yield idx;
-      if(cmd && cmd.type === 'undo') idx = Math.max(1, idx-1);
-      else if(cmd && cmd.type === 'redo') idx = Math.min(this.actions.length, idx+1);
-      else idx = this.actions.length;
-      // reconstruct from init snapshot
-      const init = this.actions.find(a=>a.type==='init');
-      if(init && init.snapshot) this.grid.loadJSON(init.snapshot);
-      for(let i=1;i<idx;i++){
-        const a = this.actions[i];
-        if(!a) continue;
-        if(a.type === 'set') this.grid.set(a.r, a.c, a.next, true);
-        if(a.type === 'fill') this.grid.fillAll(a.next);
-        if(a.type === 'multi') this.grid.multiSet(a.items);
+  get actions(){ return this.timeline.actions; },
+  get actionIndex(){ return this.timeline.index; },
+
+  // drop the timeline and start a new one from the current grid
+  resetHistory(){ this.timeline.reset(); },
+  // adopt a timeline from a save or import; the grid is expected to be at its end
+  loadHistory(actions){ this.timeline.load(actions); },
+  // applied actions only (the redo tail is not persisted)
+  history(){ return this.timeline.applied(); },
+  // actions are recorded *before* their change is applied to the grid
+  recordAction(action){ this.timeline.record(action); },
+  /* ---- stroke coalescing: every 'set' between begin/end lands in one 'multi' ---- */
+  beginStroke(){ this.timeline.beginStroke(); },
+  endStroke(){ this.timeline.endStroke(); },
+
+  // apply [{r,c,val}] as one 'multi' action (later entries win, unchanged cells dropped);
+  // returns false only when the current mode vetoed the edit
+  commitMulti(updates, op='multi'){
+    const items = this.timeline.diff(updates);
+    if(!items.length) return true;
+    if(!UI.guardEdit(items)) return false;
+    this.recordAction({type:'multi', op, items});
+    this.grid.multiSet(items);
+    return true;
+  },
+  // apply an action forwards (dir 1) or its inverse (dir -1); false when it carries no inverse
+  applyAction(a, dir){ return this.timeline.apply(a, dir); },
+
+  setActiveLevel(id){
+    const def = this.levels.find(l => l.id === id) || null;
+    if(def === this.level) return;
+    this.level = def;
+    this.levelSolved = false;
+    this.renderLevels();
+  },
+
+  // move the applied cursor to idx (inverse steps when close, nearest checkpoint + replay when far)
+  seek(idx){
+    this.timeline.seek(idx);
+    this.grid.updateStats();
+    UI.refreshAll();
+  },
+
+  undo(){
+    if(Replay.blocked()) return;
+    if(!this.timeline.canUndo()){ showToast('Nothing to undo'); return; }
+    this.seek(this.timeline.index - 1);
+    Log.event('Undo executed');
+  },
+  redo(){
+    if(Replay.blocked()) return;
+    if(!this.timeline.canRedo()){ showToast('Nothing to redo'); return; }
+    this.seek(this.timeline.index + 1);
+    Log.event('Redo executed');
+  },
+
+  setPathfinder(name){
+    if(!PATHFINDERS[name]) name = 'astar';
+    this.pathfinder = name;
+    this.aStar.algorithm = name;
+    $('#path-algo').value = name;
+    Log.event(`Pathfinder: ${PATHFINDER_LABELS[name]}`);
+  },
+
+  // time every pathfinder on the current map: the same house → workplace pairs (random cells when the map
+  // has none) on the main thread and, when enabled, in the worker; logged and resolved as rows
+  async benchmarkPathfinders(trials=20){
+    const g = this.grid, mask = this.passMask(), weights = this.aStar.weights(mask), cols = g.cols;
+    const houses = [], works = [];
+    g.cells.forEach((v, i) => { if(isHouse(v)) houses.push(i); else if(isWork(v)) works.push(i); });
+    const any = ()=> Rng.int('bench', g.cells.length);
+    const pick = list => list.length ? list[Rng.int('bench', list.length)] : any();
+    const cell = i => ({r: (i / cols) | 0, c: i % cols});
+    const pairs = [];
+    for(let t=0;t<trials;t++) pairs.push([cell(pick(houses)), cell(pick(works))]);
+    let engines = this.useWorker ? ['main', 'worker'] : ['main'];
+    const rows = [];
+    for(const name of Object.keys(PATHFINDERS)){
+      for(const engine of engines){
+        const row = {algorithm: PATHFINDER_LABELS[name], engine, found: 0, expanded: 0, ms: 0, cost: 0, fallback: null};
+        let failed = null;
+        for(const [start, goal] of pairs){
+          const req = {algorithm: name, start, goal, rows: g.rows, cols, weights, diagonal: this.aStar.diagonal};
+          let res;
+          if(engine === 'main') res = runPathfinder(name, g.rows, cols, weights, start, goal, req.diagonal);
+          else try { res = await this.pathPool.find(req); } catch(e){ failed = e; break; }
+          row.expanded += res.stats.expanded; row.ms += res.stats.ms;
+          if(res.path){ row.found++; row.cost += res.stats.cost; }
+          row.fallback = row.fallback || res.stats.fallback;
+        }
+        // no workers (or one died): time the main thread only from here on
+        if(failed){ engines = ['main']; Log.event(`Worker benchmark skipped: ${failed.message}`); continue; }
+        row.expanded = Math.round(row.expanded / trials); row.ms = +(row.ms / trials).toFixed(3);
+        row.cost = row.found ? +(row.cost / row.found).toFixed(2) : null;
+        rows.push(row);
+        Log.event(`${row.algorithm} (${engine}): ${row.expanded} expanded, ${row.ms} ms avg, ${row.found}/${trials} found${row.fallback ? ` (ran ${row.fallback})` : ''}`);
       }
-      UI.refreshAll();
-      yield idx;
     }
+    return rows;
+  },
+
+  // resize keeping content pinned to an anchor ('tl','t','tr','l','c','r','bl','b','br'), or start an empty map
+  resizeGrid(rows, cols, anchor='c', empty=false){
+    if(Replay.blocked()) return;
+    rows = clamp(Math.round(rows) || 1, 1, MAX_GRID_DIM);
+    cols = clamp(Math.round(cols) || 1, 1, MAX_GRID_DIM);
+    const prev = this.grid.toJSON();
+    if(!empty && rows === prev.rows && cols === prev.cols) return;
+    const next = empty ? {rows, cols, cells: new Array(rows * cols).fill('')} : resizeMap(prev, rows, cols, anchor);
+    this.recordAction({type:'resize', op: empty ? 'new' : 'resize', anchor, prev, next});
+    this.grid.loadJSON(next);
+    Selection.clear();
+    UI.refreshAll();
+    Log.event(empty ? `New map ${rows}×${cols}` : `Resized to ${rows}×${cols} (anchor ${anchor})`);
+  },
+
+  clearGrid(){
+    if(Replay.blocked()) return;
+    this.recordAction({type:'fill', next:'', prevLayers: this.grid.layerCells()});
+    this.grid.clear();
   },
-  undo(){ if(!this.actionGen) this.actionGen = this._actionGenerator(); this.actionGen.next(); this.actionGen.next({type:'undo'}); Log.event('Undo executed'); },
-  redo(){ if(!this.actionGen) this.actionGen = this._actionGenerator(); this.actionGen.next(); this.actionGen.next({type:'redo'}); Log.event('Redo executed'); },
 
   startSim(){
     if(this.playing) return;
+    if(this.mode === 'timed' && this.modeState.over) this.setMode('timed');
     this.playing = true;
     this.simInterval = setInterval(()=>this.simTick(), 1000 / this.simSpeed);
     Log.event('Simulation started');
   },
   stopSim(){
     this.playing = false;
-    if(this.simInterval){ clearInterval(this.simInterval); this.simInterval = null; Log.event('Simulation stopped'); }
+    if(this.simInterval){
+      clearInterval(this.simInterval); this.simInterval = null;
+      Log.event('Simulation stopped');
+      const st = this.aStar.stats;
+      if(st.hits + st.misses) Log.event(this.aStar.cacheReport());
+    }
+    AnimExport.interrupt();
   },
 
-  async findPath(start, goal){
-    // build passable mask (roads or empty allowed)
+  // passable mask from tile metadata (empty cells are passable)
+  passMask(){
     const mask = new Uint8Array(this.grid.rows * this.grid.cols);
     for(let r=0;r<this.grid.rows;r++){
       for(let c=0;c<this.grid.cols;c++){
         const tile = this.grid.get(r,c);
         const idx = r*this.grid.cols + c;
-        mask[idx] = (!tile || tile === '🛣️' || /🚗|🚲|🛸/.test(tile)) ? 1 : 0;
+        mask[idx] = tileInfo(tile).passable ? 1 : 0;
       }
     }
-    if(this.useWorker && this.worker){
-      return new Promise((resolve)=>{
-        const onmsg = (e)=>{ if(e.data && e.data.cmd === 'result'){ this.worker.removeEventListener('message', onmsg); resolve(e.data.path); } };
-        this.worker.addEventListener('message', onmsg);
-        this.worker.postMessage({cmd:'find', start, goal, rows:this.grid.rows, cols:this.grid.cols, passable: Array.from(mask)});
-      });
-    } else {
-      // use main-thread A*
-      return this.aStar.findPath(start, goal, mask);
+    return mask;
+  },
+
+  // TrafficSim router while the worker is on: commuter searches on the pool, keyed per vehicle so a re-plan
+  // cancels the stale search; a rejection makes the sim search inline
+  simRouter: {
+    route: req => Game.pathPool.find(req).then(res => res.path),
+    cancel: key => { Game.pathPool.cancelKey(key); }
+  },
+
+  pathRequest(start, goal, mask, opts={}){
+    return {algorithm: this.pathfinder, start, goal, rows:this.grid.rows, cols:this.grid.cols, weights: this.aStar.weights(mask), diagonal: this.aStar.diagonal, trace: !!opts.trace, key: opts.key};
+  },
+
+  // one search on the worker pool when enabled, else the main thread: resolves {path, stats, trace, engine}
+  // with what was explored. opts.key: a newer search under the same key cancels this one (PathCancelled)
+  async tracePath(start, goal, opts={}){
+    const mask = this.passMask();
+    if(this.useWorker){
+      try {
+        const res = await this.pathPool.find(this.pathRequest(start, goal, mask, Object.assign({}, opts, {trace:true})));
+        return {path: res.path, stats: res.stats, trace: res.trace, engine:'worker'};
+      } catch(e){ if(e instanceof PathCancelled) throw e; }
     }
+    return Object.assign(this.aStar.run(start, goal, mask, true), {engine:'main thread'});
   },
 
+  // one step of the persistent traffic model: spawn demand, move every vehicle, score arrivals
   simTick(){
-    // spawn commuter between random house and workplace
-    const houses = [];
-    const works = [];
-    for(let r=0;r<this.grid.rows;r++){
-      for(let c=0;c<this.grid.cols;c++){
-        const v = this.grid.get(r,c) || '';
-        if(/🏠|🏡|🏘️/.test(v)) houses.push({r,c});
-        if(/🏢|🏬|🏪|🏥|🏫/.test(v)) works.push({r,c});
-      }
+    const sim = this.traffic;
+    sim.diagonal = this.aStar.diagonal;
+    sim.pathfinder = this.pathfinder;
+    sim.router = this.useWorker ? this.simRouter : null;
+    sim.spawn(this.mode === 'endless' ? this.endlessDemand() : 1);
+    const {arrived} = sim.tick();
+    // punctual trips (within 1.5× free-flow time) score double
+    for(const v of arrived) UI.updateScore(v.trip <= v.ideal * 1.5 + 1 ? 2 : 1);
+    Renderer.drawTraffic(sim);
+    UI.updateTraffic(sim.stats());
+    AnimExport.capture(sim);
+  },
+
+  // reseed every random stream; vehicles restart so the commuter sequence replays from the seed
+  setSeed(seed){
+    Rng.setSeed(seed);
+    this.resetTraffic();
+    Log.event(`Seed ${Rng.seed}`);
+  },
+  restoreRng(snap){
+    if(Rng.restore(snap)) this.resetTraffic();
+  },
+  resetTraffic(){
+    this.traffic.reset();
+    Renderer.drawTraffic(this.traffic);
+    UI.updateTraffic(this.traffic.stats());
+    UI.updateSeed();
+  },
+
+  /* ---- modes ---- */
+  modeRules(){
+    const over = this.level && this.level.modes && this.level.modes[this.mode];
+    return Object.assign({}, MODES[this.mode] || MODES.sandbox, over);
+  },
+
+  setMode(name, state){
+    if(!MODES[name]) name = 'sandbox';
+    clearInterval(this.modeTimer); this.modeTimer = null;
+    this.mode = name;
+    $('#mode-select').value = name;
+    if(!state && name === 'puzzle' && $('#level-select').value === 'auto') this.selectLevel('auto');
+    const rules = this.modeRules();
+    if(state) this.modeState = Object.assign({}, state);
+    else if(name === 'timed'){ this.modeState = {remaining: rules.duration, par: rules.par, over: false}; UI.setScore(0); }
+    else if(name === 'endless') this.modeState = {ticks: 0, demand: 1};
+    else this.modeState = {};
+    if(!state && this.traffic) this.resetTraffic();
+    if(name === 'timed' && !this.modeState.over) this.modeTimer = setInterval(()=>this.timedTick(), 1000);
+    renderPalette();
+    UI.updateMode();
+    if(!state) Log.event(`Mode: ${rules.label}`);
+  },
+
+  // serialisable form stored in saves/autosave so a reload resumes the same rules
+  modeSnapshot(){
+    return {name: this.mode, level: this.level ? this.level.id : null, solved: this.levelSolved, score: UI.getScore(), state: Object.assign({}, this.modeState)};
+  },
+
+  restoreMode(snap){
+    if(!snap) return;
+    this.level = this.levels.find(l => l.id === snap.level) || null;
+    this.levelSolved = !!snap.solved;
+    if(typeof snap.score === 'number') UI.setScore(snap.score);
+    this.setMode(snap.name, snap.state || {});
+    this.renderLevels();
+    this.checkObjectives();
+  },
+
+  paletteList(){
+    return this.mode === 'puzzle' ? this.modeRules().palette.slice() : EmojiRegistry.slice();
+  },
+
+  // returns a reason string when the mode forbids the updates ([{r,c,val}]), '' otherwise
+  canEdit(updates){
+    if(Replay.active) return 'Leave the replay to edit';
+    const layer = this.grid.layers[this.grid.active];
+    if(layer.locked) return `Layer "${layer.name}" is locked`;
+    if(!layer.visible) return `Layer "${layer.name}" is hidden`;
+    if(this.mode === 'timed' && this.modeState.over) return 'Time is up — press Play to retry';
+    if(this.mode !== 'puzzle') return '';
+    const rules = this.modeRules(), g = this.grid, after = new Map();
+    for(const u of updates){
+      if(u.val && !rules.palette.includes(u.val)) return `${u.val} is not in this puzzle's palette`;
+      after.set(g.index(u.r, u.c), u.val || '');
+    }
+    // the budget counts composite tiles on both sides: erasing the active layer still shows what lies under it
+    let filled = g.cells.filter(Boolean).length;
+    for(const [i, val] of after){
+      const shown = val || g.layers.some((l, k) => k !== g.active && l.cells[i]);
+      filled += (shown ? 1 : 0) - (g.cells[i] ? 1 : 0);
+    }
+    return filled > rules.budget ? `Tile budget of ${rules.budget} exceeded` : '';
+  },
+
+  timedTick(){
+    const st = this.modeState;
+    st.remaining = Math.max(0, st.remaining - 1);
+    if(st.remaining === 0) this.endTimedRound();
+    UI.updateMode();
+  },
+
+  endTimedRound(){
+    const st = this.modeState;
+    st.over = true;
+    clearInterval(this.modeTimer); this.modeTimer = null;
+    this.stopSim();
+    const score = UI.getScore();
+    Log.event(`Time up — score ${score} vs par ${st.par}`);
+    showToast(score >= st.par ? `Par beaten! ${score}/${st.par}` : `Time up: ${score}/${st.par} — press Play to retry`, 3000);
+  },
+
+  endlessDemand(){
+    const st = this.modeState, rules = this.modeRules();
+    st.ticks++;
+    const demand = Math.min(rules.maxDemand, 1 + Math.floor(st.ticks / rules.rampEvery));
+    if(demand > st.demand) Log.event(`Demand rising: ${demand} commuters per tick`);
+    st.demand = demand;
+    UI.updateMode();
+    return demand;
+  },
+
+  selectLevel(id){
+    if(id === 'auto'){
+      if(this.mode !== 'puzzle' || this.level) return;
+      const prog = this.levelProgress;
+      const next = this.levels.find(l => prog.unlocked.includes(l.id) && !prog.completed.includes(l.id)) || this.levels[0];
+      this.loadLevel(next);
+      return;
     }
-    if(!houses.length || !works.length) return;
-    const s = houses[Math.floor(Math.random()*houses.length)];
-    const d = works[Math.floor(Math.random()*works.length)];
-    this.findPath(s,d).then(path => { if(path && path.length>1) Renderer.animateVehicle(path); });
-    UI.updateScore(1);
+    const def = this.levels.find(l => l.id === id);
+    if(def && this.levelProgress.unlocked.includes(def.id)) this.loadLevel(def);
   },
 
   setupLevels(){
-    const defs = [
-      {id:'lvl1', name:'Starter Village', rows:10, cols:12, objective:{type:'place_count', emoji:'🏠', count:8}},
-      {id:'lvl2', name:'Commuter Rush', rows:12, cols:16, objective:{type:'balance', houses:6, workplaces:4}},
-      {id:'lvl3', name:'Eco Park', rows:10, cols:10, objective:{type:'pattern', pattern:[['🌳','🌳','🌳'],['🌳','','🌳'],['🌳','🌳','🌳']]}}
-    ];
+    this.levels = LEVELS;
+    this.levelProgress = loadLevelProgress();
+    if(!this.levelProgress.unlocked.includes(this.levels[0].id)) this.levelProgress.unlocked.push(this.levels[0].id);
+    this.renderLevels();
+  },
+
+  renderLevels(){
     const el = $('#levels'); el.innerHTML = '';
-    defs.forEach(d=>{
-      const row = makeElem('div', {class:'level-item'});
-      row.innerHTML = `<div><strong>${d.name}</strong><div style="font-size:12px;color:var(--muted)">${d.objective.type}</div></div><button data-lid="${d.id}">Load</button>`;
+    const prog = this.levelProgress;
+    const sel = $('#level-select');
+    sel.innerHTML = '<option value="auto">Auto</option>';
+    this.levels.forEach(d=>{ const o = makeElem('option', {value:d.id}, d.name); o.disabled = !prog.unlocked.includes(d.id); sel.appendChild(o); });
+    sel.value = this.level ? this.level.id : 'auto';
+    this.levels.forEach(d=>{
+      const locked = !prog.unlocked.includes(d.id), done = prog.completed.includes(d.id);
+      const row = makeElem('div', {class:'level-item', 'data-lid': d.id});
+      row.classList.toggle('locked', locked);
+      row.classList.toggle('done', done);
+      row.classList.toggle('active', this.level === d);
+      row.innerHTML = `<div class="level-head"><div><strong>${done ? '✔ ' : ''}${d.name}</strong><div style="font-size:12px;color:var(--muted)">${d.objectives.map(o=>o.type).join(' • ')}</div></div><button data-lid="${d.id}">${locked ? '🔒' : 'Load'}</button></div><div class="objectives"></div>`;
       el.appendChild(row);
-      row.querySelector('button').addEventListener('click', ()=>{ this.loadLevel(d); });
+      const btn = row.querySelector('button');
+      btn.disabled = locked;
+      btn.addEventListener('click', ()=>{ this.loadLevel(d); });
     });
   },
 
   loadLevel(def){
-    this.grid = new Grid(def.rows, def.cols, 48);
-    this.aStar = new AStar(this.grid);
-    this.recordAction({type:'setlevel', level:def});
+    if(Replay.blocked()) return;
+    this.recordAction({type:'setlevel', level:def, prev: this.grid.toJSON(), prevLevel: this.level ? this.level.id : null});
+    this.level = def;
+    this.levelSolved = false;
+    this.grid.loadJSON({rows:def.rows, cols:def.cols, cells:new Array(def.rows * def.cols).fill('')});
+    this.renderLevels();
     UI.refreshAll();
+    UI.updateMode();
+    this.checkObjectives();
     Log.event(`Loaded level ${def.name}`);
   },
 
+  // coalesce evaluation to one pass per frame (brush drags call updateStats per cell)
+  scheduleObjectives(){
+    if(!this.level || this._objRaf) return;
+    this._objRaf = requestAnimationFrame(()=>{ this._objRaf = 0; this.checkObjectives(); });
+  },
+
+  checkObjectives(){
+    if(!this.level) return;
+    const results = Objectives.evaluate(this.level, this.grid);
+    this.renderObjectives(results);
+    if(!this.levelSolved && results.length && results.every(r=>r.done)) this.completeLevel(results);
+  },
+
+  renderObjectives(results){
+    const box = $(`.level-item[data-lid="${this.level.id}"] .objectives`);
+    if(!box) return;
+    box.innerHTML = '';
+    for(const res of results){
+      const row = makeElem('div', {class:'objective' + (res.done ? ' done' : '')});
+      row.appendChild(makeElem('div', {class:'objective-text'}, (res.done ? '✔ ' : '') + res.text));
+      const bar = makeElem('div', {class:'objective-bar'});
+      const fillEl = makeElem('span');
+      fillEl.style.width = Math.round(res.progress * 100) + '%';
+      bar.appendChild(fillEl);
+      row.appendChild(bar);
+      box.appendChild(row);
+    }
+  },
+
+  completeLevel(results){
+    const def = this.level;
+    const prog = this.levelProgress;
+    this.levelSolved = true;
+    // the reward is paid on the first solve only; replaying a finished level just re-marks it
+    const first = !prog.completed.includes(def.id), reward = first ? def.reward || 100 : 0;
+    if(first){ UI.updateScore(reward); prog.completed.push(def.id); }
+    const next = this.levels[this.levels.indexOf(def) + 1];
+    if(next && !prog.unlocked.includes(next.id)){ prog.unlocked.push(next.id); Log.event(`Unlocked level ${next.name}`); }
+    saveLevelProgress(prog);
+    this.renderLevels();
+    this.renderObjectives(results);
+    Log.event(`Level complete: ${def.name}${first ? ` (+${reward})` : ' (already solved)'}`);
+    showToast(first ? `Level complete! +${reward}` : 'Level complete again');
+    playBlip();
+  },
+
+  /* ---- saves: one payload shape (core toSave/readSave) for export, slots and autosave ---- */
+  savePayload(){
+    return toSave({grid: this.grid, actions: this.history(), registry: EmojiRegistry, tiles: packTiles(EmojiRegistry), mode: this.modeSnapshot(), rng: Rng.snapshot()});
+  },
+  // adopt a save already checked by readSave()
+  applySave(save){
+    Replay.exit(); // a save replaces the timeline being replayed
+    if(save.registry){ EmojiRegistry.length = 0; registryEntries(save.registry).forEach(x=>EmojiRegistry.push(x)); }
+    applyTiles(save.tiles, TileMeta);
+    this.grid.loadJSON(save.grid);
+    if(save.mode) this.restoreMode(save.mode); // before the history, whose base checkpoint keeps the current level
+    this.loadHistory(save.actions);
+    this.restoreRng(save.rng);
+    UI.refreshAll();
+  },
+
   startAutosave(){
     setInterval(()=> {
+      if(Replay.active) return; // the grid is at a replayed position, not the user's map
       try{
-        const payload = {stamp: now(), grid: this.grid.toJSON(), actions: this.actions, registry: EmojiRegistry.slice()};
-        localStorage.setItem('emojiton-autosave', JSON.stringify(payload));
+        localStorage.setItem('emojiton-autosave', JSON.stringify(this.savePayload()));
       }catch(e){}
     }, 45000); // every 45s
   }
@@ -496,33 +1021,27 @@ const Renderer = {
     this.vehicleLayer.style.left = '0'; this.vehicleLayer.style.top = '0';
     this.vehicleLayer.style.zIndex = '1000';
     $('#viewport').appendChild(this.vehicleLayer);
-    this.initMatrix();
-  },
-  animateVehicle(path){
-    const start = path[0];
-    const gridWrap = Game.grid.container;
-    const cell0 = gridWrap.children[Game.grid.index(start.r, start.c)];
-    if(!cell0) return;
-    const wrapRect = gridWrap.getBoundingClientRect();
-    const el = makeElem('div', {class:'vehicle'}, '🚗');
-    Object.assign(el.style, {position:'absolute',width:'24px',height:'24px',zIndex:9999,transition:'transform 240ms linear'});
-    $('#viewport').appendChild(el);
-    // compute positions
-    const pos = path.map(p => {
-      const rect = gridWrap.children[Game.grid.index(p.r,p.c)].getBoundingClientRect();
-      return {x: rect.left - wrapRect.left + rect.width/2 - 12, y: rect.top - wrapRect.top + rect.height/2 - 12};
-    });
-    let i = 0;
-    const step = ()=> {
-      if(i >= pos.length){ el.remove(); return; }
-      const p = pos[i];
-      el.style.transform = `translate(${p.x}px, ${p.y}px)`;
-      i++;
-      setTimeout(step, Math.max(80, 320 / Game.simSpeed));
-    };
-    step();
+    this.matrix.init();
+  },
+  // persistent vehicles: one element per id, moved with a transition as long as the tick
+  vehicles: new Map(),
+  drawTraffic(sim){
+    const seen = new Set(), dur = Math.round(1000 / Game.simSpeed);
+    for(const v of sim.snapshot()){
+      seen.add(v.id);
+      let el = this.vehicles.get(v.id);
+      if(!el){
+        el = makeElem('div', {class:'vehicle'}, '🚗');
+        this.vehicleLayer.appendChild(el);
+        this.vehicles.set(v.id, el);
+      }
+      const m = Game.grid.cellCenter(v.r, v.c);
+      el.style.transitionDuration = dur + 'ms';
+      el.style.transform = `translate(${m.x - 12}px, ${m.y - 12}px)`;
+      el.classList.toggle('queued', v.state === 'queued');
+    }
+    for(const [id, el] of this.vehicles) if(!seen.has(id)){ el.remove(); this.vehicles.delete(id); }
   },
-
   /* =========================
      Matrix Canvas advanced
      - multi-layered emoji rain
@@ -555,7 +1074,7 @@ const Renderer = {
       this.drops = [];
       for(let layer=0; layer<this.layerCount; layer++){
         const colsLayer = Math.max(4, Math.floor(rect.width / (colW * (1 + layer*0.3))));
-        const arr = new Array(colsLayer).fill(0).map(()=>Math.random() * rect.height);
+        const arr = new Array(colsLayer).fill(0).map(()=>Rng.random('matrix') * rect.height);
         this.drops.push({cols:colsLayer, arr, speed: 0.6 + layer*0.9, alpha: 0.12 + layer*0.18});
       }
     },
@@ -583,13 +1102,13 @@ const Renderer = {
         for(let i=0;i<layer.cols;i++){
           const x = i * (rect.width / layer.cols);
           const y = layer.arr[i];
-          const ch = this.emojiPool[(Math.floor(Math.random()*this.emojiPool.length)) || 0] || '✳️';
+          const ch = this.emojiPool[Rng.int('matrix', this.emojiPool.length) || 0] || '✳️';
           ctx.globalAlpha = layer.alpha;
           // color gradient per layer
           const hue = 180 + L*40 + (i % 12) * 4;
           ctx.fillStyle = `hsla(${hue}, 90%, ${30 + L*8}%, ${layer.alpha})`;
-          ctx.fillText(ch, x + 2 + (Math.random()*6 - 3), y);
-          layer.arr[i] = y > rect.height + 20 ? (Math.random()*-80) : y + (1 + Math.random()*2) * layer.speed * (1 + L*0.5);
+          ctx.fillText(ch, x + 2 + (Rng.random('matrix')*6 - 3), y);
+          layer.arr[i] = y > rect.height + 20 ? (Rng.random('matrix')*-80) : y + (1 + Rng.random('matrix')*2) * layer.speed * (1 + L*0.5);
         }
       }
       requestAnimationFrame(()=>this.loop());
@@ -642,46 +1161,93 @@ const UI = {
     vp.addEventListener('touchend', ()=> lastDist = null);
 
     // palette click
-    $('#palette').addEventListener('click', (e)=>{ const it = e.target.closest('.palette-item'); if(!it) return; $$('.palette-item').forEach(x=>x.classList.remove('active')); it.classList.add('active'); this.selectedEmoji = it.dataset.val; });
+    $('#palette').addEventListener('click', (e)=>{ const it = e.target.closest('.palette-item'); if(!it) return; $$('.palette-item').forEach(x=>x.classList.remove('active')); it.classList.add('active'); this.selectedEmoji = it.dataset.val; this.showTileEditor(this.selectedEmoji); });
+
+    // tile metadata editor
+    $('#tile-ed-category').innerHTML = TILE_CATEGORIES.map(c => `<option value="${c}">${c}</option>`).join('');
+    ['label','category','passable','cost','capacity'].forEach(k => $(`#tile-ed-${k}`).addEventListener('change', ()=> this.saveTileEditor()));
 
     // tool buttons
     $$('.tool').forEach(b => b.addEventListener('click', (ev)=>{ this.setTool(b.dataset.tool); $$('.tool').forEach(x=>x.classList.remove('active')); b.classList.add('active'); }));
 
-    // cell painting (delegated)
-    $('#grid-wrap').addEventListener('mousedown', (e)=>{
-      const cell = e.target.closest('emoji-cell');
-      if(!cell) return;
-      this.applyToolToCell(cell);
-      let moveHandler = (me) => { const c = me.target.closest('emoji-cell'); if(c) this.applyToolToCell(c); };
-      window.addEventListener('mousemove', moveHandler);
-      window.addEventListener('mouseup', ()=> window.removeEventListener('mousemove', moveHandler), {once:true});
+    // cell painting (delegated, Pointer Events so mouse, pen and touch behave alike)
+    $('#grid-wrap').addEventListener('pointerdown', (e)=> this.onPointerDown(e));
+    window.addEventListener('pointermove', (e)=> this.onPointerMove(e));
+    window.addEventListener('pointerup', (e)=> this.onPointerUp(e));
+    window.addEventListener('pointercancel', (e)=> this.onPointerUp(e));
+    // quick meta edit popover (prompt)
+    $('#grid-wrap').addEventListener('dblclick', (e)=>{
+      const hit = Game.grid.cellAt(e.clientX, e.clientY);
+      if(!hit) return;
+      const {r, c} = hit, prev = Game.grid.layerGet(r, c);
+      const p = prompt('Edit tile (emoji) — empty to clear', prev || '');
+      if(p === null) return;
+      const next = p.trim() ? registryEntry(p) : '';
+      if(next === null){ showToast(`Not a single emoji: ${p.trim()}`); return; }
+      if(UI.guardEdit([{r, c, val: next}])){ Game.recordAction({type:'set', r, c, prev, next}); Game.grid.set(r,c,next); }
     });
 
     // wire controls (save/load/etc)
     $('#btn-random').addEventListener('click', ()=> randomizeGrid());
+    $('#btn-seed').addEventListener('click', ()=> {
+      const p = prompt('Seed (number or text) — the map is regenerated from it', Rng.seed);
+      if(p === null || !p.trim()) return;
+      Game.setSeed(p);
+      randomizeGrid();
+    });
+    $('#btn-map').addEventListener('click', ()=> this.openMapDialog());
+    $('#map-dialog').addEventListener('close', ()=> this.onMapDialogClose());
+    $('#btn-city').addEventListener('click', ()=> $('#city-dialog').showModal());
+    $('#city-dialog').addEventListener('close', ()=> this.onCityDialogClose());
     $('#btn-play').addEventListener('click', ()=> Game.startSim());
     $('#btn-pause').addEventListener('click', ()=> Game.stopSim());
     $('#btn-sim').addEventListener('click', ()=> Game.startSim());
     $('#btn-step').addEventListener('click', ()=> Game.simTick());
     $('#btn-replay').addEventListener('click', ()=> playBackActions());
     $('#btn-save').addEventListener('click', ()=> saveSlot());
+    SaveSlots.render();
     $('#btn-export').addEventListener('click', ()=> exportJSON());
     $('#btn-import').addEventListener('click', ()=> $('#file-import').click());
     $('#file-import').addEventListener('change', onFileImport);
     $('#btn-share').addEventListener('click', ()=> shareURL());
-    $('#btn-clear').addEventListener('click', ()=> { if(confirm('Clear grid?')) Game.grid.clear(); });
+    $('#btn-clear').addEventListener('click', ()=> { if(confirm('Clear grid?')) Game.clearGrid(); });
     $('#btn-undo').addEventListener('click', ()=> Game.undo());
     $('#btn-redo').addEventListener('click', ()=> Game.redo());
     $('#btn-timelapse').addEventListener('click', ()=> timelapse());
+    $('#btn-export-gif').addEventListener('click', ()=> AnimExport.open());
+    $('#export-dialog').addEventListener('close', ()=> AnimExport.onClose());
     $('#btn-matrix').addEventListener('click', ()=> { toggleMatrix(); });
     $('#btn-konami').addEventListener('click', ()=> unlockKonami());
     $('#btn-sound').addEventListener('click', ()=> { window.__SFX_ON = !window.__SFX_ON; showToast('SFX ' + (window.__SFX_ON ? 'ON':'OFF')); });
+    $('#btn-renderer').addEventListener('click', ()=> {
+      const g = Game.grid;
+      g.renderMode = RENDER_MODES[(RENDER_MODES.indexOf(g.renderMode) + 1) % RENDER_MODES.length];
+      g.initView();
+      this.refreshAll();
+      $('#btn-renderer').textContent = 'Renderer: ' + g.renderMode;
+      showToast(`Renderer ${g.renderMode} (${g.view instanceof CanvasGridView ? 'canvas' : 'DOM'})`);
+    });
     $('#btn-worker').addEventListener('click', ()=> { Game.useWorker = !Game.useWorker; showToast('A* Worker ' + (Game.useWorker ? 'ON' : 'OFF')); });
+    $('#mode-select').addEventListener('change', (e)=> Game.setMode(e.target.value));
+    $('#level-select').addEventListener('change', (e)=> Game.selectLevel(e.target.value));
 
-    // emoji add
+    // emoji add: one tile per grapheme; text and emojis already in the registry are skipped
     $('#emoji-add-btn').addEventListener('click', ()=> {
-      const v = $('#emoji-input').value.trim();
-      if(v){ EmojiRegistry.push(v); $('#emoji-input').value=''; showToast('Emoji added'); playBlip(); }
+      const input = $('#emoji-input');
+      const {emojis, rejected} = parseEmojiInput(input.value);
+      if(!emojis.length && !rejected.length) return;
+      if(Game.mode === 'puzzle'){ showToast('Palette is locked in Puzzle mode'); return; }
+      const known = new Set(EmojiRegistry.map(normalizeEmoji));
+      const added = emojis.filter(e => !known.has(e));
+      added.forEach(e => EmojiRegistry.push(e));
+      const dupes = emojis.length - added.length;
+      const notes = [added.length ? `Added ${added.join(' ')}` : 'Nothing added'];
+      if(dupes) notes.push(`${dupes} already in palette`);
+      if(rejected.length) notes.push(`not emoji: ${rejected.join(', ')}`);
+      if(added.length) Log.event(`Registry add ${added.join(' ')}`);
+      input.value = rejected.join(' ');
+      showToast(notes.join(' · '));
+      if(added.length) playBlip();
     });
 
     // quick shortcuts
@@ -693,44 +1259,171 @@ const UI = {
       if(e.key === 'z' && (e.ctrlKey || e.metaKey)) Game.undo();
       if(e.key === 'y' && (e.ctrlKey || e.metaKey)) Game.redo();
     });
+
+    // selection tool: buttons + keys (ignored while typing in inputs)
+    $('#sel-copy').addEventListener('click', ()=> Selection.copy());
+    $('#sel-cut').addEventListener('click', ()=> Selection.cut());
+    $('#sel-paste').addEventListener('click', ()=> Selection.paste());
+    $('#sel-delete').addEventListener('click', ()=> Selection.remove());
+    $('#sel-rotate').addEventListener('click', ()=> Selection.rotate());
+    $('#sel-flip-h').addEventListener('click', ()=> Selection.flip(true));
+    $('#sel-flip-v').addEventListener('click', ()=> Selection.flip(false));
+    PathDebug.init();
+    Layers.init();
+    Compare.init();
+    Replay.init();
+    const arrows = {ArrowUp:[-1,0], ArrowDown:[1,0], ArrowLeft:[0,-1], ArrowRight:[0,1]};
+    window.addEventListener('keydown', (e)=>{
+      if(this.currentTool !== 'select' || /INPUT|SELECT|TEXTAREA/.test(e.target.tagName)) return;
+      const mod = e.ctrlKey || e.metaKey;
+      if(mod && e.key === 'c') Selection.copy();
+      else if(mod && e.key === 'x') Selection.cut();
+      else if(mod && e.key === 'v') Selection.paste();
+      else if(e.key === 'Delete' || e.key === 'Backspace') Selection.remove();
+      else if(e.key === 'Escape') Selection.clear();
+      else if(arrows[e.key]) Selection.move(...arrows[e.key]);
+      else return;
+      e.preventDefault();
+    });
+  },
+
+  setTool(t){
+    this.currentTool = t;
+    $('#fill-options').hidden = t !== 'fill';
+    $('#select-options').hidden = t !== 'select';
+    $('#path-options').hidden = t !== 'path';
+    $('#compare-options').hidden = t !== 'compare';
+    if(t !== 'select') Selection.clear();
+    if(t === 'compare') Compare.sources();
+    PathDebug.info();
+    PathDebug.draw();
+    Compare.info();
+    Compare.draw();
   },
 
-  setTool(t){ this.currentTool = t; },
+  showTileEditor(emoji){
+    this.editingTile = emoji || '';
+    const info = tileInfo(emoji);
+    $('#tile-ed-emoji').textContent = emoji || '—';
+    $('#tile-ed-label').value = info.label;
+    $('#tile-ed-category').value = info.category;
+    $('#tile-ed-passable').checked = info.passable;
+    $('#tile-ed-cost').value = info.cost;
+    $('#tile-ed-capacity').value = info.capacity;
+  },
+
+  saveTileEditor(){
+    const e = this.editingTile;
+    if(!e) return;
+    TileMeta[e] = {
+      label: $('#tile-ed-label').value.trim(),
+      category: $('#tile-ed-category').value,
+      passable: $('#tile-ed-passable').checked,
+      cost: clamp(Number($('#tile-ed-cost').value) || 1, 0.1, 10),
+      capacity: Math.max(0, Math.round(Number($('#tile-ed-capacity').value) || 0))
+    };
+    $$('.palette-item').forEach(it => { if(it.dataset.val === e) it.title = TileMeta[e].label || e; });
+  },
 
-  applyToolToCell(cell){
-    const r = Number(cell.dataset.r), c = Number(cell.dataset.c);
+  // toast the mode's veto (throttled so drags don't spam) and report whether the edit may proceed
+  guardEdit(updates){
+    const why = Game.canEdit(updates);
+    if(!why) return true;
+    if(why !== this._lastVeto || now() - this._lastVetoAt > 1500){ showToast(why); this._lastVeto = why; this._lastVetoAt = now(); }
+    return false;
+  },
+
+  applyToolToCell(r, c){
+    const g = Game.grid, prev = g.layerGet(r, c);
     if(this.currentTool === 'brush'){
-      Game.recordAction({type:'set', r, c, prev: cell.value, next: this.selectedEmoji});
+      if(!this.guardEdit([{r, c, val: this.selectedEmoji}])) return;
+      Game.recordAction({type:'set', r, c, prev, next: this.selectedEmoji});
       Game.grid.set(r,c,this.selectedEmoji);
       if(window.__SFX_ON) playBlip();
     } else if(this.currentTool === 'eraser'){
-      Game.recordAction({type:'set', r, c, prev: cell.value, next: ''});
+      if(!this.guardEdit([{r, c, val: ''}])) return;
+      Game.recordAction({type:'set', r, c, prev, next: ''});
       Game.grid.set(r,c,'');
     } else if(this.currentTool === 'fill'){
-      const old = cell.value;
-      Game.recordAction({type:'fill', prev: old, next: this.selectedEmoji});
-      Game.grid.fillAll(this.selectedEmoji);
+      const opts = {diagonal: $('#fill-conn').value === '8', replaceAll: $('#fill-all').checked};
+      Game.commitMulti(floodFill(g, r, c, this.selectedEmoji, opts), opts.replaceAll ? 'replace' : 'fill');
     } else if(this.currentTool === 'rand'){
-      const choice = EmojiRegistry[Math.floor(Math.random()*EmojiRegistry.length)];
-      Game.recordAction({type:'set', r, c, prev: cell.value, next: choice});
+      const pool = Game.paletteList();
+      const choice = pool[Rng.int('tool', pool.length)];
+      if(!this.guardEdit([{r, c, val: choice}])) return;
+      Game.recordAction({type:'set', r, c, prev, next: choice});
       Game.grid.set(r,c, choice);
     } else if(this.currentTool === 'road'){
-      Game.recordAction({type:'set', r, c, prev: cell.value, next: '🛣️'});
+      if(!this.guardEdit([{r, c, val: '🛣️'}])) return;
+      Game.recordAction({type:'set', r, c, prev, next: '🛣️'});
       Game.grid.set(r,c,'🛣️');
-    } else if(this.currentTool === 'select'){
-      cell.highlight(!cell.classList.contains('highlight'));
     }
     Game.grid.updateStats();
   },
 
-  onCellClick(cell,r,c){
-    this.applyToolToCell(cell);
+  openMapDialog(){
+    $('#map-rows').value = Game.grid.rows;
+    $('#map-cols').value = Game.grid.cols;
+    $('#map-dialog').showModal();
+  },
+  onMapDialogClose(){
+    const act = $('#map-dialog').returnValue;
+    if(act !== 'resize' && act !== 'new') return;
+    const anchor = ($('#map-anchor input:checked') || {}).value || 'c';
+    Game.resizeGrid(Number($('#map-rows').value), Number($('#map-cols').value), anchor, act === 'new');
+  },
+
+  onCityDialogClose(){
+    if($('#city-dialog').returnValue !== 'generate') return;
+    generateCityGrid({
+      density: Number($('#city-density').value) / 100,
+      spacing: Number($('#city-spacing').value),
+      residential: Number($('#city-residential').value) / 100,
+      parks: Number($('#city-parks').value),
+      parkSize: Number($('#city-park-size').value)
+    });
+  },
+
+  /* ---- pointer gestures: one pointer-down → pointer-up is one stroke action ---- */
+  gesture: null, // {id, r, c} of the pointer currently painting/selecting
+  onPointerDown(e){
+    if(this.gesture){ this.endGesture(); return; } // a second finger means pinch, not paint
+    if(e.button !== 0 || e.shiftKey) return;        // middle button / shift+drag pan the viewport
+    const hit = Game.grid.cellAt(e.clientX, e.clientY);
+    if(!hit) return;
+    e.preventDefault();
+    const {r, c} = hit;
+    if(this.currentTool === 'fill'){ this.applyToolToCell(r, c); return; }
+    if(this.currentTool === 'path'){ PathDebug.pick(r, c); return; }
+    if(this.currentTool === 'select' || this.currentTool === 'compare') Selection.begin(r, c);
+    else { Game.beginStroke(); this.applyToolToCell(r, c); }
+    this.gesture = {id: e.pointerId, r, c};
+  },
+  onPointerMove(e){
+    const gst = this.gesture;
+    if(!gst || e.pointerId !== gst.id) return;
+    const hit = Game.grid.cellAt(e.clientX, e.clientY);
+    if(!hit) return;
+    const {r, c} = hit;
+    if(r === gst.r && c === gst.c) return;
+    if(this.currentTool === 'select' || this.currentTool === 'compare') Selection.extend(r, c);
+    else for(const p of lineCells(gst.r, gst.c, r, c).slice(1)) this.applyToolToCell(p.r, p.c);
+    gst.r = r; gst.c = c;
+  },
+  onPointerUp(e){
+    if(this.gesture && e.pointerId === this.gesture.id) this.endGesture();
+  },
+  endGesture(){
+    this.gesture = null;
+    Game.endStroke();
+    if(this.currentTool === 'compare'){ Compare.stageRect(Selection.rect); Selection.clear(); }
   },
 
   setZoom(val, center){
     this.zoom = clamp(val, 0.45, 3);
-    const wrap = $('#grid-wrap');
-    wrap.style.transform = `scale(${this.zoom})`;
+    Game.grid.setScale(this.zoom);
+    PathDebug.draw();
+    Compare.draw();
     $('#zoom-val').textContent = Math.round(this.zoom*100) + '%';
     $('#zoom').value = this.zoom;
     // approximate focal preserve: adjust scroll to keep center near pointer
@@ -743,50 +1436,648 @@ const UI = {
     }
   },
 
-  updateFilled(n){ $('#ui-filled').textContent = n; },
-  updateScore(n){ const el = $('#ui-score'); el.textContent = Number(el.textContent||0) + n; },
+  updateSeed(){ $('#ui-seed').textContent = Rng.seed; },
+  updateTraffic(st){
+    $('#ui-traffic').textContent = st.arrived || st.active
+      ? `${st.active} on road${st.queued ? ` (${st.queued} queued)` : ''} • avg trip ${st.avgTrip.toFixed(1)} • ${st.throughput.toFixed(0)}/min`
+      : '—';
+  },
+  updateFilled(n){ $('#ui-filled').textContent = n; if(Game.mode === 'puzzle') this.updateMode(); },
+  getScore(){ return Number($('#ui-score').textContent || 0); },
+  setScore(n){ $('#ui-score').textContent = n; },
+  updateScore(n){ this.setScore(this.getScore() + n); },
+  updateMode(){
+    const st = Game.modeState, rules = Game.modeRules();
+    let txt = rules.label;
+    if(Game.mode === 'timed') txt += ` ${Math.floor(st.remaining / 60)}:${String(st.remaining % 60).padStart(2, '0')} • par ${st.par}`;
+    if(Game.mode === 'puzzle') txt += ` ${Game.grid.cells.filter(Boolean).length}/${rules.budget} tiles`;
+    if(Game.mode === 'endless') txt += ` ×${st.demand}`;
+    $('#ui-mode').textContent = txt;
+  },
   refreshAll(){
     $('#ui-dims').textContent = `${Game.grid.rows} × ${Game.grid.cols}`;
     $('#ui-filled').textContent = Game.grid.cells.filter(Boolean).length;
     renderPalette();
+    Layers.render();
+    Selection.set(Selection.rect);
   }
 };
 
+/* cells on the straight line between two cells (Bresenham), so fast drags leave no gaps */
+function lineCells(r0, c0, r1, c1){
+  const out = [];
+  const dr = Math.abs(r1 - r0), dc = Math.abs(c1 - c0), sr = r0 < r1 ? 1 : -1, sc = c0 < c1 ? 1 : -1;
+  let err = dc - dr;
+  for(;;){
+    out.push({r:r0, c:c0});
+    if(r0 === r1 && c0 === c1) break;
+    const e2 = 2 * err;
+    if(e2 >= -dr){ err -= dr; c0 += sc; }
+    if(e2 <= dc){ err += dc; r0 += sr; }
+  }
+  return out;
+}
+
 /* ======================
    Palette & randomize
    ====================== */
 function renderPalette(){
   const pal = $('#palette');
   pal.innerHTML = '';
-  EmojiRegistry.forEach((e,i)=>{
+  Game.paletteList().forEach((e,i)=>{
     const it = document.createElement('div');
     it.className = 'palette-item' + (i===0 ? ' active' : '');
     it.dataset.val = e;
+    it.title = tileInfo(e).label || e;
     it.textContent = e;
     pal.appendChild(it);
     if(i===0) UI.selectedEmoji = e;
   });
+  UI.showTileEditor(UI.selectedEmoji);
   Renderer.matrix.refreshPool();
 }
 
 function randomizeGrid(){
   const r = Game.grid.rows, c = Game.grid.cols;
-  for(let i=0;i<r*c;i++){
-    const v = Math.random() > 0.66 ? EmojiRegistry[Math.floor(Math.random()*EmojiRegistry.length)] : '';
-    Game.grid.cells[i] = v;
-    const el = Game.grid.container.children[i]; if(el) el.value = v;
-  }
-  Game.grid.updateStats();
-  Game.recordAction({type:'fill', next:'randomize'});
+  const vals = [];
+  for(let i=0;i<r*c;i++) vals.push(Rng.random('map') > 0.66 ? EmojiRegistry[Rng.int('map', EmojiRegistry.length)] : '');
+  if(!Game.commitMulti(vals.map((val, i) => ({r: Math.floor(i / c), c: i % c, val})), 'randomize')) return;
   showToast('Grid randomized');
 }
 
+/* ======================
+   Procedural city generator
+   - full-length road lines every `spacing` cells (so the network is always connected)
+   - blocks between roads are zoned residential or work by `residential` ratio
+   - lots touching a road are built with probability `density`; `parks` clusters of `parkSize` trees
+   - houses that cannot reach a workplace under the path rules are dropped
+   ====================== */
+const CITY_DEFAULTS = {density:0.7, spacing:5, residential:0.7, parks:3, parkSize:8, parkTiles:['🌳','🌳','🌲','🌻']};
+
+function roadLines(n, spacing, random){
+  const out = [];
+  for(let p = 1 + Math.floor(random() * (spacing - 1)); p < n - 1; p += spacing) out.push(p);
+  if(!out.length) out.push(Math.floor(n / 2));
+  return out;
+}
+
+// returns the composite cells of a rows×cols map; random() drives every choice. fixed (optional) holds tiles
+// the city is built around: they are kept, count as roads or buildings, and nothing is placed on them
+function generateCity(rows, cols, opts={}, random=Math.random, diagonal=true, fixed=null){
+  const o = Object.assign({}, CITY_DEFAULTS, opts);
+  const spacing = clamp(Math.round(o.spacing) || CITY_DEFAULTS.spacing, 3, 32);
+  const cells = fixed ? fixed.map(v => v || '') : new Array(rows * cols).fill('');
+  const free = i => !fixed || !fixed[i];
+  const at = (r, c) => r * cols + c;
+  const tiles = Object.keys(TileMeta);
+  const houses = tiles.filter(isHouse), works = tiles.filter(isWork);
+  const nature = o.parkTiles.filter(t => !tileInfo(t).passable);
+  const pick = list => list[Math.floor(random() * list.length)];
+
+  const hLines = roadLines(rows, spacing, random), vLines = roadLines(cols, spacing, random);
+  for(const r of hLines) for(let c=0;c<cols;c++) if(free(at(r, c))) cells[at(r, c)] = '🛣️';
+  for(const c of vLines) for(let r=0;r<rows;r++) if(free(at(r, c))) cells[at(r, c)] = '🛣️';
+
+  for(let k=0;k<o.parks && nature.length;k++){
+    const frontier = [at(Math.floor(random() * rows), Math.floor(random() * cols))];
+    for(let n=0;n<o.parkSize && frontier.length;){
+      const i = frontier.splice(Math.floor(random() * frontier.length), 1)[0];
+      if(cells[i]) continue;
+      cells[i] = pick(nature); n++;
+      const r = (i / cols) | 0, c = i % cols;
+      if(r > 0) frontier.push(i - cols);
+      if(r < rows - 1) frontier.push(i + cols);
+      if(c > 0) frontier.push(i - 1);
+      if(c < cols - 1) frontier.push(i + 1);
+    }
+  }
+
+  // zone per block so districts read as districts
+  const band = (lines, p) => lines.filter(x => x < p).length;
+  const zones = new Map();
+  const zoneOf = (r, c) => {
+    const key = band(hLines, r) + ',' + band(vLines, c);
+    if(!zones.has(key)) zones.set(key, random() < o.residential ? 'res' : 'work');
+    return zones.get(key);
+  };
+  const isRoad = (r, c) => r >= 0 && c >= 0 && r < rows && c < cols && cells[at(r, c)] === '🛣️';
+  const lots = [];
+  for(let r=0;r<rows;r++){
+    for(let c=0;c<cols;c++){
+      if(cells[at(r, c)] || !(isRoad(r-1, c) || isRoad(r+1, c) || isRoad(r, c-1) || isRoad(r, c+1))) continue;
+      lots.push(at(r, c));
+      if(random() >= o.density) continue;
+      const list = zoneOf(r, c) === 'res' ? houses : works;
+      if(list.length) cells[at(r, c)] = pick(list);
+    }
+  }
+  if(works.length && lots.length && !cells.some(isWork)) cells[lots[Math.floor(random() * lots.length)]] = pick(works);
+
+  const reach = workReach(rows, cols, cells, diagonal);
+  for(let i=0;i<cells.length;i++) if(isHouse(cells[i]) && !reach[i] && free(i)) cells[i] = '';
+  return cells;
+}
+
+function generateCityGrid(opts){
+  const g = Game.grid;
+  // built against the other layers: their tiles stay in the composite, so the active layer leaves those cells empty
+  const fixed = composeLayers(g.layers.filter((l, k) => k !== g.active).map(l => l.cells), g.cells.length);
+  const cells = generateCity(g.rows, g.cols, opts, ()=> Rng.random('map'), Game.aStar.diagonal, fixed);
+  if(!Game.commitMulti(cells.map((val, i) => ({r: Math.floor(i / g.cols), c: i % g.cols, val: fixed[i] ? '' : val})), 'generate')) return;
+  const n = cells.filter(isHouse).length, w = cells.filter(isWork).length;
+  Log.event(`City generated: ${n} houses, ${w} workplaces`);
+  showToast('City generated');
+}
+
+/* ======================
+   Layers panel
+   - one row per layer, top layer first: active (edits go there), visibility, lock, opacity
+   - visibility and opacity only change drawing; the composite the simulation reads is unaffected
+   ====================== */
+const Layers = {
+  init(){
+    const el = $('#layer-list');
+    el.addEventListener('change', (e)=> {
+      const row = e.target.closest('[data-layer]');
+      if(!row) return;
+      const k = Number(row.dataset.layer), g = Game.grid;
+      if(e.target.name === 'layer-active'){ g.active = k; Log.event(`Editing layer ${g.layers[k].name}`); }
+      else if(e.target.classList.contains('layer-visible')) g.setLayerProps(k, {visible: e.target.checked});
+      else if(e.target.classList.contains('layer-locked')) g.setLayerProps(k, {locked: e.target.checked});
+    });
+    el.addEventListener('input', (e)=> {
+      const row = e.target.closest('[data-layer]');
+      if(row && e.target.classList.contains('layer-opacity')) Game.grid.setLayerProps(Number(row.dataset.layer), {opacity: Number(e.target.value)});
+    });
+  },
+  render(){
+    const el = $('#layer-list'), g = Game.grid;
+    el.innerHTML = '';
+    for(let k=g.layers.length-1;k>=0;k--){
+      const l = g.layers[k], filled = l.cells.reduce((n, v) => n + !!v, 0);
+      const row = makeElem('div', {class:'layer-row', 'data-layer': k});
+      const pick = makeElem('label', {class:'layer-name', title:`${filled} tiles`});
+      const radio = makeElem('input', {type:'radio', name:'layer-active'});
+      radio.checked = k === g.active;
+      pick.append(radio, ` ${l.name}`);
+      const vis = makeElem('input', {type:'checkbox', class:'layer-visible', title:'Visible', 'aria-label':`Show ${l.name}`});
+      vis.checked = l.visible;
+      const lock = makeElem('input', {type:'checkbox', class:'layer-locked', title:'Locked', 'aria-label':`Lock ${l.name}`});
+      lock.checked = l.locked;
+      const op = makeElem('input', {type:'range', class:'layer-opacity', min:0, max:1, step:0.05, title:'Opacity', 'aria-label':`${l.name} opacity`});
+      op.value = l.opacity;
+      row.append(pick, makeElem('span', {}, '👁'), vis, makeElem('span', {}, '🔒'), lock, op);
+      el.appendChild(row);
+    }
+  }
+};
+
+/* ======================
+   Flood fill & rectangular selection
+   - fill: contiguous region (4/8-connected) or every cell holding the same emoji
+   - selection edits go through Game.commitMulti so each is one undoable 'multi'
+   - both read and write the active layer only
+   ====================== */
+function floodFill(grid, r, c, val, {diagonal=false, replaceAll=false}={}){
+  const cells = grid.layers[grid.active].cells; // fills stay within the active layer
+  const target = cells[grid.index(r,c)] || '';
+  val = val || '';
+  if(target === val) return [];
+  const out = [];
+  if(replaceAll){
+    cells.forEach((v, i) => { if((v || '') === target) out.push({r: Math.floor(i / grid.cols), c: i % grid.cols, val}); });
+    return out;
+  }
+  const dirs = diagonal ? [[1,0],[-1,0],[0,1],[0,-1],[1,1],[1,-1],[-1,1],[-1,-1]] : [[1,0],[-1,0],[0,1],[0,-1]];
+  const seen = new Uint8Array(grid.rows * grid.cols);
+  const stack = [[r,c]];
+  seen[grid.index(r,c)] = 1;
+  while(stack.length){
+    const [cr, cc] = stack.pop();
+    out.push({r:cr, c:cc, val});
+    for(const d of dirs){
+      const nr = cr + d[0], nc = cc + d[1];
+      if(nr < 0 || nc < 0 || nr >= grid.rows || nc >= grid.cols) continue;
+      const ni = grid.index(nr, nc);
+      if(seen[ni] || (cells[ni] || '') !== target) continue;
+      seen[ni] = 1;
+      stack.push([nr, nc]);
+    }
+  }
+  return out;
+}
+
+const Selection = {
+  rect: null,   // {r0,c0,r1,c1} inclusive
+  origin: null, // drag anchor
+  clip: null,   // {rows, cols, cells}
+  begin(r,c){ this.origin = {r,c}; this.set({r0:r, c0:c, r1:r, c1:c}); },
+  extend(r,c){
+    const o = this.origin;
+    if(o) this.set({r0:Math.min(o.r,r), c0:Math.min(o.c,c), r1:Math.max(o.r,r), c1:Math.max(o.c,c)});
+  },
+  set(rect){
+    const g = Game.grid;
+    if(rect){
+      rect = {r0:Math.max(0, rect.r0), c0:Math.max(0, rect.c0), r1:Math.min(g.rows-1, rect.r1), c1:Math.min(g.cols-1, rect.c1)};
+      if(rect.r0 > rect.r1 || rect.c0 > rect.c1) rect = null;
+    }
+    this.rect = rect;
+    g.view.highlight(rect);
+    $('#sel-info').textContent = rect ? `${rect.r1-rect.r0+1}×${rect.c1-rect.c0+1} at ${rect.r0},${rect.c0}` : 'Drag to select';
+  },
+  clear(){ this.origin = null; this.set(null); },
+  block(){
+    const {r0,c0,r1,c1} = this.rect;
+    const rows = r1-r0+1, cols = c1-c0+1, cells = [];
+    for(let r=0;r<rows;r++) for(let c=0;c<cols;c++) cells.push(Game.grid.layerGet(r0+r, c0+c) || '');
+    return {rows, cols, cells};
+  },
+  // write a block at (r,c), optionally blanking the current selection first
+  place(block, r, c, op, clearOld){
+    const g = Game.grid;
+    if(r < 0 || c < 0 || r + block.rows > g.rows || c + block.cols > g.cols){ showToast('Not enough room'); return; }
+    const updates = [];
+    if(clearOld){ const {r0,c0,r1,c1} = this.rect; for(let i=r0;i<=r1;i++) for(let j=c0;j<=c1;j++) updates.push({r:i, c:j, val:''}); }
+    block.cells.forEach((val, k) => updates.push({r: r + Math.floor(k / block.cols), c: c + k % block.cols, val}));
+    if(Game.commitMulti(updates, op)) this.set({r0:r, c0:c, r1:r+block.rows-1, c1:c+block.cols-1});
+  },
+  copy(){
+    if(!this.rect) return;
+    this.clip = this.block();
+    showToast(`Copied ${this.clip.rows}×${this.clip.cols}`);
+  },
+  cut(){
+    if(!this.rect) return;
+    this.clip = this.block();
+    this.remove('cut');
+  },
+  paste(){
+    if(!this.clip){ showToast('Nothing to paste'); return; }
+    const at = this.rect || {r0:0, c0:0};
+    this.place(this.clip, at.r0, at.c0, 'paste', false);
+  },
+  remove(op='delete'){
+    if(!this.rect) return;
+    const {r0,c0,r1,c1} = this.rect, updates = [];
+    for(let r=r0;r<=r1;r++) for(let c=c0;c<=c1;c++) updates.push({r, c, val:''});
+    Game.commitMulti(updates, op);
+  },
+  move(dr, dc){
+    if(!this.rect) return;
+    this.place(this.block(), this.rect.r0 + dr, this.rect.c0 + dc, 'move', true);
+  },
+  rotate(){ // 90° clockwise around the top-left corner
+    if(!this.rect) return;
+    const b = this.block(), cells = [];
+    for(let r=0;r<b.cols;r++) for(let c=0;c<b.rows;c++) cells.push(b.cells[(b.rows - 1 - c) * b.cols + r]);
+    this.place({rows:b.cols, cols:b.rows, cells}, this.rect.r0, this.rect.c0, 'rotate', true);
+  },
+  flip(horizontal){
+    if(!this.rect) return;
+    const b = this.block(), cells = [];
+    for(let r=0;r<b.rows;r++) for(let c=0;c<b.cols;c++) cells.push(horizontal ? b.cells[r * b.cols + (b.cols - 1 - c)] : b.cells[(b.rows - 1 - r) * b.cols + c]);
+    this.place({rows:b.rows, cols:b.cols, cells}, this.rect.r0, this.rect.c0, horizontal ? 'flip-h' : 'flip-v', true);
+  }
+};
+
+/* ======================
+   Path debugger (🧭 tool)
+   - click a start cell, then a goal; the search runs with the chosen pathfinder on the worker pool when enabled, else the main thread
+   - overlay: closed set, open set, current cell and the final path; one viewport-sized canvas like CanvasGridView
+   - step/scrub through the expansion order; hovering a touched cell shows its g and f
+   ====================== */
+const PathDebug = {
+  canvas: null, ctx: null,
+  start: null, goal: null,
+  run: null,   // {path, trace, engine, rows, cols}
+  step: 0,     // cells closed so far in the replayed state
+  state: null, // {mark: Uint8Array (1 open, 2 closed), g, f: Float64Array} at `step`
+  hover: null,
+  init(){
+    this.canvas = makeElem('canvas', {class:'path-debug'});
+    $('#viewport').appendChild(this.canvas);
+    this.ctx = this.canvas.getContext('2d');
+    $('#viewport').addEventListener('scroll', ()=> this.draw(), {passive:true});
+    $('#grid-wrap').addEventListener('pointermove', (e)=> {
+      if(UI.currentTool !== 'path' || !this.run) return;
+      this.hover = Game.grid.cellAt(e.clientX, e.clientY);
+      this.info();
+    });
+    $('#path-prev').addEventListener('click', ()=> this.seek(this.step - 1));
+    $('#path-next').addEventListener('click', ()=> this.seek(this.step + 1));
+    $('#path-end').addEventListener('click', ()=> this.seek(Infinity));
+    $('#path-scrub').addEventListener('input', (e)=> this.seek(Number(e.target.value)));
+    $('#path-clear').addEventListener('click', ()=> this.clear());
+    $('#path-algo').innerHTML = Object.keys(PATHFINDERS).map(k => `<option value="${k}">${PATHFINDER_LABELS[k]}</option>`).join('');
+    $('#path-algo').addEventListener('change', (e)=> { Game.setPathfinder(e.target.value); if(this.goal) this.trace(); });
+    $('#path-bench').addEventListener('click', async ()=> {
+      showToast('Benchmarking pathfinders…');
+      let rows;
+      try { rows = await Game.benchmarkPathfinders(); }
+      catch(e){ Log.event(`Benchmark failed: ${e.message}`); showToast('Benchmark failed — see the log', 3000); return; }
+      const best = rows.filter(r => r.found).sort((a, b) => a.ms - b.ms)[0];
+      showToast(best ? `Fastest here: ${best.algorithm} (${best.engine}, ${best.ms} ms) — details in the log` : 'No routes found on this map', 3000);
+    });
+  },
+  // first click sets the start, the second the goal and runs the search; a third starts over
+  pick(r, c){
+    if(!this.start || this.goal){ this.clear(); this.start = {r, c}; this.info(); this.draw(); return; }
+    this.goal = {r, c};
+    this.trace();
+  },
+  async trace(){
+    const {start, goal} = this, g = Game.grid;
+    let res;
+    try { res = await Game.tracePath(start, goal, {key:'debug'}); }
+    catch(e){ if(e instanceof PathCancelled) return; throw e; } // picked again meanwhile
+    if(this.start !== start || this.goal !== goal) return;
+    this.run = Object.assign(res, {rows: g.rows, cols: g.cols});
+    const total = res.trace.order.length;
+    $('#path-scrub').max = total;
+    const how = `${PATHFINDER_LABELS[res.stats.algorithm]}, ${res.engine}, ${res.stats.ms.toFixed(2)} ms`;
+    Log.event(res.path ? `Path ${start.r},${start.c}→${goal.r},${goal.c}: ${res.path.length} cells, ${total} expanded (${how})`
+                       : `No path ${start.r},${start.c}→${goal.r},${goal.c}: ${total} cells reachable (${how})`);
+    this.seek(total);
+  },
+  clear(){
+    this.start = this.goal = this.run = this.state = this.hover = null;
+    this.step = 0;
+    $('#path-scrub').max = 0;
+    this.info();
+    this.draw();
+  },
+  // rebuild open/closed sets and g/f as they were after `step` expansions
+  seek(step){
+    const run = this.run;
+    if(!run) return;
+    const {order, pushes} = run.trace, size = run.rows * run.cols;
+    step = clamp(step, 0, order.length);
+    const mark = new Uint8Array(size), g = new Float64Array(size).fill(Infinity), f = new Float64Array(size).fill(Infinity);
+    for(let i=0;i<pushes.length && pushes[i] <= step;i+=4){
+      const k = pushes[i+1];
+      mark[k] = 1; g[k] = pushes[i+2]; f[k] = pushes[i+3];
+    }
+    for(let i=0;i<step;i++) mark[order[i]] = 2;
+    this.step = step;
+    this.state = {mark, g, f};
+    $('#path-scrub').value = step;
+    this.info();
+    this.draw();
+  },
+  info(){
+    const run = this.run;
+    let text;
+    if(!this.start) text = 'Click a start cell';
+    else if(!run) text = `Start ${this.start.r},${this.start.c} — click a goal`;
+    else {
+      const total = run.trace.order.length, done = this.step === total;
+      const stats = run.stats;
+      text = `${PATHFINDER_LABELS[stats.algorithm]}${stats.fallback ? ` (ran ${PATHFINDER_LABELS[stats.fallback]}: map is not uniform-cost)` : ''} • ${run.engine} • ${stats.ms.toFixed(2)} ms • step ${this.step}/${total}`;
+      if(done) text += run.path ? ` • path ${run.path.length} cells` : ' • no path: goal is walled off from the explored area';
+      const h = this.hover;
+      if(h && h.r < run.rows && h.c < run.cols){
+        const i = h.r * run.cols + h.c, st = this.state;
+        text += st.mark[i] ? ` • ${h.r},${h.c} g=${st.g[i].toFixed(2)} f=${st.f[i].toFixed(2)} (${st.mark[i] === 2 ? 'closed' : 'open'})` : ` • ${h.r},${h.c} not reached`;
+      }
+    }
+    $('#path-info').textContent = text;
+  },
+  draw(){
+    const ctx = this.ctx, g = Game.grid;
+    if(!ctx) return;
+    const on = UI.currentTool === 'path' && !!this.start;
+    this.canvas.hidden = !on;
+    if(!on) return;
+    const {ox, oy, s, cell, r0, r1, c0, c1} = overlayView(this.canvas, ctx);
+    const box = (r, c, color) => { const o = g.cellOrigin(r, c); ctx.fillStyle = color; ctx.fillRect(o.x * s - ox, o.y * s - oy, cell, cell); };
+    const run = this.run, st = this.state;
+    if(run && st && run.rows === g.rows && run.cols === g.cols){
+      for(let r=r0;r<=r1;r++) for(let c=c0;c<=c1;c++){
+        const m = st.mark[r * g.cols + c];
+        if(m) box(r, c, m === 2 ? 'rgba(255,120,80,0.35)' : 'rgba(90,200,255,0.35)');
+      }
+      const order = run.trace.order;
+      if(this.step && this.step < order.length){ const k = order[this.step - 1]; box((k / g.cols) | 0, k % g.cols, 'rgba(255,220,60,0.6)'); }
+      if(run.path && this.step === order.length){
+        ctx.strokeStyle = '#5fd08a'; ctx.lineWidth = Math.max(2, 4 * s); ctx.lineJoin = ctx.lineCap = 'round';
+        ctx.beginPath();
+        run.path.forEach((p, i) => { const m = g.cellCenter(p.r, p.c); if(i) ctx.lineTo(m.x - ox, m.y - oy); else ctx.moveTo(m.x - ox, m.y - oy); });
+        ctx.stroke();
+      }
+    }
+    if(this.start) box(this.start.r, this.start.c, 'rgba(95,208,138,0.6)');
+    if(this.goal) box(this.goal.r, this.goal.c, 'rgba(108,140,255,0.7)');
+  }
+};
+
+// size a viewport-pinned overlay canvas (like CanvasGridView's) to the visible part of the grid and clear it;
+// returns the scroll origin, zoom, scaled cell size and the visible cell range
+function overlayView(canvas, ctx){
+  const g = Game.grid, vp = $('#viewport');
+  const dpr = window.devicePixelRatio || 1, s = g.scale, size = g.pixelSize();
+  const vw = Math.max(1, Math.min(vp.clientWidth || size.w, size.w * s)), vh = Math.max(1, Math.min(vp.clientHeight || size.h, size.h * s));
+  const ox = vp.scrollLeft, oy = vp.scrollTop;
+  if(canvas.width !== Math.round(vw * dpr) || canvas.height !== Math.round(vh * dpr)){
+    canvas.width = Math.round(vw * dpr); canvas.height = Math.round(vh * dpr);
+    canvas.style.width = vw + 'px'; canvas.style.height = vh + 'px';
+  }
+  canvas.style.transform = `translate(${ox}px, ${oy}px)`;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, vw, vh);
+  const pitch = g.cellPx + GRID_GAP;
+  return {
+    ox, oy, s, cell: g.cellPx * s,
+    r0: clamp(Math.floor((oy / s - GRID_PAD) / pitch), 0, g.rows-1), r1: clamp(Math.floor(((oy + vh) / s - GRID_PAD) / pitch), 0, g.rows-1),
+    c0: clamp(Math.floor((ox / s - GRID_PAD) / pitch), 0, g.cols-1), c1: clamp(Math.floor(((ox + vw) / s - GRID_PAD) / pitch), 0, g.cols-1)
+  };
+}
+
+/* ======================
+   Map compare & merge (⇄ tool)
+   - diff two maps (current, a save slot or a file: bare Grid.toJSON() or a full save) with the core diffGrids
+   - overlay: added / removed / changed cells; click one, or drag a region, to stage or unstage its changes
+   - Apply writes the staged cells' values from the second map into the current map's active layer as one
+     'multi' action (op 'merge')
+   ====================== */
+const DIFF_COLORS = {added:'rgba(95,208,138,0.45)', removed:'rgba(226,92,92,0.45)', changed:'rgba(255,180,84,0.45)'};
+
+const Compare = {
+  canvas: null, ctx: null,
+  files: {a: null, b: null}, // maps loaded from files, with a label
+  picking: null,             // side whose file chooser is open
+  result: null,              // diffGrids() output plus registry diff and labels
+  byCell: new Map(),         // r*cols+c → diff entry (for the current result)
+  staged: new Set(),         // keys of byCell
+  hover: null,
+  init(){
+    this.canvas = makeElem('canvas', {class:'path-debug'});
+    $('#viewport').appendChild(this.canvas);
+    this.ctx = this.canvas.getContext('2d');
+    $('#viewport').addEventListener('scroll', ()=> this.draw(), {passive:true});
+    $('#grid-wrap').addEventListener('pointermove', (e)=> {
+      if(UI.currentTool !== 'compare' || !this.result) return;
+      this.hover = Game.grid.cellAt(e.clientX, e.clientY);
+      this.info();
+    });
+    for(const side of ['a', 'b']){
+      $(`#compare-${side}`).addEventListener('change', (e)=> {
+        if(e.target.value !== 'file') return;
+        this.picking = side;
+        $('#compare-file').click();
+      });
+    }
+    $('#compare-file').addEventListener('change', (e)=> this.onFile(e));
+    $('#compare-run').addEventListener('click', ()=> this.run());
+    $('#compare-all').addEventListener('click', ()=> { this.stage([...this.byCell.keys()]); });
+    $('#compare-apply').addEventListener('click', ()=> this.apply());
+    $('#compare-clear').addEventListener('click', ()=> this.clear());
+  },
+
+  // rebuild the source pickers: current map, readable slots, files
+  sources(){
+    const slots = SaveSlots.list().filter(s => !s.broken);
+    for(const side of ['a', 'b']){
+      const sel = $(`#compare-${side}`), keep = sel.value, file = this.files[side];
+      sel.innerHTML = '';
+      sel.appendChild(makeElem('option', {value:'current'}, 'Current map'));
+      for(const s of slots) sel.appendChild(makeElem('option', {value:'slot:' + s.name}, 'Slot: ' + s.name));
+      sel.appendChild(makeElem('option', {value:'file'}, file ? 'File: ' + file.label : 'File…'));
+      sel.value = [...sel.options].some(o => o.value === keep) ? keep : (side === 'a' ? 'current' : (slots.length ? 'slot:' + slots[0].name : 'file'));
+    }
+  },
+
+  onFile(e){
+    const f = e.target.files && e.target.files[0], side = this.picking;
+    e.target.value = '';
+    if(!f || !side) return;
+    const reader = new FileReader();
+    reader.onload = ()=> {
+      try { this.files[side] = Object.assign(readMapPayload(JSON.parse(reader.result)), {label: f.name}); }
+      catch(err){ showToast(err instanceof MapFormatError ? `Compare: ${err.message}` : 'Compare: not valid JSON', 4000); return; }
+      this.sources();
+      $(`#compare-${side}`).value = 'file';
+    };
+    reader.readAsText(f);
+  },
+
+  // {grid, registry, label} for a picker value; throws MapFormatError / Error with a readable message
+  load(value, side){
+    if(value === 'current') return {grid: Game.grid.toJSON(), registry: EmojiRegistry.slice(), label: 'current map'};
+    if(value === 'file'){
+      if(!this.files[side]) throw new Error('choose a file first');
+      return this.files[side];
+    }
+    const name = value.slice(5), raw = localStorage.getItem(SLOT_PREFIX + name);
+    if(raw === null) throw new Error(`slot ${name} no longer exists`);
+    return Object.assign(readMapPayload(JSON.parse(raw)), {label: name});
+  },
+
+  run(){
+    let a, b;
+    try { a = this.load($('#compare-a').value, 'a'); b = this.load($('#compare-b').value, 'b'); }
+    catch(e){ showToast('Compare: ' + e.message, 4000); return; }
+    const res = diffGrids(a.grid, b.grid);
+    this.result = Object.assign(res, {registry: diffRegistry(a.registry, b.registry), a: a.label, b: b.label, sources: [$('#compare-a').value, $('#compare-b').value]});
+    this.byCell = new Map(res.cells.map(d => [d.r * res.cols + d.c, d]));
+    this.staged = new Set();
+    const {added, removed, changed} = res.counts;
+    Log.event(`Compared ${a.label} → ${b.label}: ${added} added, ${removed} removed, ${changed} changed${res.sameSize ? '' : ` (sizes differ: ${a.grid.rows}×${a.grid.cols} vs ${b.grid.rows}×${b.grid.cols}, overlap only)`}`);
+    this.info();
+    this.draw();
+  },
+
+  clear(){
+    this.result = this.hover = null;
+    this.byCell = new Map();
+    this.staged = new Set();
+    this.info();
+    this.draw();
+  },
+
+  // toggle a set of diff keys: unstage when all of them are staged, else stage them all
+  stage(keys){
+    keys = keys.filter(k => this.byCell.has(k));
+    if(!keys.length) return;
+    const unstage = keys.every(k => this.staged.has(k));
+    for(const k of keys) unstage ? this.staged.delete(k) : this.staged.add(k);
+    this.info();
+    this.draw();
+  },
+  // a click (single cell) or dragged region from the pointer handlers
+  stageRect(rect){
+    const res = this.result;
+    if(!res || !rect) return;
+    const keys = [];
+    for(let r=rect.r0;r<=Math.min(rect.r1, res.rows-1);r++) for(let c=rect.c0;c<=Math.min(rect.c1, res.cols-1);c++) keys.push(r * res.cols + c);
+    this.stage(keys);
+  },
+
+  // the current map must still be the size the diff was taken against
+  fits(){
+    const res = this.result, g = Game.grid;
+    return !!res && res.rows <= g.rows && res.cols <= g.cols;
+  },
+
+  apply(){
+    const res = this.result;
+    if(!res || !this.staged.size){ showToast('Nothing staged'); return; }
+    if(!this.fits()){ showToast('The map was resized since the comparison — compare again'); return; }
+    const updates = [...this.staged].map(k => { const d = this.byCell.get(k); return {r: d.r, c: d.c, val: d.to}; });
+    if(!Game.commitMulti(updates, 'merge')) return;
+    Log.event(`Merged ${updates.length} cell${updates.length === 1 ? '' : 's'} from ${res.b}`);
+    showToast(`Merged ${updates.length} change${updates.length === 1 ? '' : 's'}`);
+    // a diff against the live map is stale now
+    if(res.sources.includes('current')) this.run(); else { this.staged = new Set(); this.info(); this.draw(); }
+  },
+
+  info(){
+    const res = this.result;
+    let text;
+    if(!res) text = 'Pick two maps and press Compare';
+    else {
+      const {added, removed, changed} = res.counts;
+      text = `${res.a} → ${res.b}: ${added} added, ${removed} removed, ${changed} changed`;
+      if(!res.sameSize) text += ` • overlap ${res.rows}×${res.cols} only`;
+      text += ` • ${this.staged.size} staged`;
+      const h = this.hover, d = h && this.byCell.get(h.r * res.cols + h.c);
+      if(d) text += ` • ${d.r},${d.c}: ${d.from || 'empty'} → ${d.to || 'empty'} (${d.kind})`;
+    }
+    $('#compare-info').textContent = text;
+    const reg = res ? res.registry : {onlyA: [], onlyB: []};
+    $('#compare-reg').textContent = reg.onlyA.length || reg.onlyB.length
+      ? `Palette: only in ${res.a}: ${reg.onlyA.join(' ') || '—'} • only in ${res.b}: ${reg.onlyB.join(' ') || '—'}` : '';
+    $('#compare-apply').textContent = `Apply (${this.staged.size})`;
+  },
+
+  draw(){
+    const ctx = this.ctx, g = Game.grid, res = this.result;
+    if(!ctx) return;
+    const on = UI.currentTool === 'compare' && !!res && this.fits();
+    this.canvas.hidden = !on;
+    if(!on) return;
+    const {ox, oy, s, cell, r0, r1, c0, c1} = overlayView(this.canvas, ctx);
+    ctx.lineWidth = Math.max(2, 3 * s);
+    ctx.strokeStyle = '#6c8cff';
+    for(let r=r0;r<=Math.min(r1, res.rows-1);r++){
+      for(let c=c0;c<=Math.min(c1, res.cols-1);c++){
+        const k = r * res.cols + c, d = this.byCell.get(k);
+        if(!d) continue;
+        const o = g.cellOrigin(r, c), x = o.x * s - ox, y = o.y * s - oy;
+        ctx.fillStyle = DIFF_COLORS[d.kind];
+        ctx.fillRect(x, y, cell, cell);
+        if(this.staged.has(k)) ctx.strokeRect(x + 1, y + 1, cell - 2, cell - 2);
+      }
+    }
+  }
+};
+
 /* ======================
    File export/import/share
    ====================== */
 function exportJSON(){
-  const payload = {grid: Game.grid.toJSON(), actions: Game.actions, registry: EmojiRegistry.slice()};
-  const blob = new Blob([JSON.stringify(payload, null, 2)], {type:'application/json'});
+  Replay.exit(); // export the user's map, not the replayed position
+  const blob = new Blob([JSON.stringify(Game.savePayload(), null, 2)], {type:'application/json'});
   const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = `emojiton_${Date.now()}.json`; a.click();
 }
 function onFileImport(e){
@@ -794,23 +2085,171 @@ function onFileImport(e){
   if(!f) return;
   const reader = new FileReader();
   reader.onload = ()=>{
-    try{
-      const obj = JSON.parse(reader.result);
-      if(obj.registry && Array.isArray(obj.registry)){ EmojiRegistry.length = 0; obj.registry.forEach(x=>EmojiRegistry.push(x)); }
-      if(obj.grid) Game.grid.loadJSON(obj.grid);
-      if(obj.actions) Game.actions = obj.actions;
-      UI.refreshAll();
-      showToast('Imported file');
-    }catch(err){ showToast('Import error'); }
+    // validate the whole file first; nothing is applied unless all of it passes
+    let raw, save;
+    try { raw = JSON.parse(reader.result); save = readSave(raw); }
+    catch(err){ showToast(err instanceof MapFormatError ? `Import error: ${err.message}` : 'Import error: not valid JSON', 4000); return; }
+    Game.applySave(save);
+    showToast((raw.version || 1) < save.version ? 'Imported file (upgraded from an older format)' : 'Imported file');
   };
   reader.readAsText(f);
   e.target.value = '';
 }
-function shareURL(){
+/* Share links
+   - #data=<version>.<codec>.<base64url>; codec 'z' = deflate-raw JSON, 'j' = plain JSON
+   - v3 payload: {v, rows, cols, pal, layers:[{name, rle, visible?, locked?, opacity?}], seed?}, one palette for
+     every layer; rle is [palIndex+1, runLength, ...] with 0 = empty
+   - v2 links ({v, rows, cols, pal, rle, seed?}: one flat map) and legacy links (bare base64 JSON {grid, registry}) still open
+*/
+const SHARE_VERSION = 3;
+const SHARE_MAX_CHARS = 256 * 1024;       // longest hash we will try to parse
+const SHARE_MAX_BYTES = 4 * 1024 * 1024;  // inflated JSON limit
+class ShareError extends Error {}
+const Share = {
+  encodeCells(cells, pal=[]){
+    const rle = [];
+    for(const v of cells){
+      let k = 0;
+      if(v){ k = pal.indexOf(v) + 1; if(!k){ pal.push(v); k = pal.length; } }
+      if(rle.length && rle[rle.length-2] === k) rle[rle.length-1]++;
+      else rle.push(k, 1);
+    }
+    return {pal, rle};
+  },
+
+  decodeCells(pal, rle, size){
+    if(!Array.isArray(pal) || !pal.every(p => typeof p === 'string' && p && p.length <= 32)) throw new ShareError('bad palette');
+    if(!Array.isArray(rle) || rle.length % 2) throw new ShareError('bad cell runs');
+    const cells = [];
+    for(let i=0;i<rle.length;i+=2){
+      const k = rle[i], n = rle[i+1];
+      if(!Number.isInteger(k) || k < 0 || k > pal.length || !Number.isInteger(n) || n < 1 || cells.length + n > size) throw new ShareError('bad cell runs');
+      const v = k ? pal[k-1] : '';
+      for(let j=0;j<n;j++) cells.push(v);
+    }
+    if(cells.length !== size) throw new ShareError('cell count mismatch');
+    return cells;
+  },
+
+  toB64(bytes){
+    let bin = '';
+    for(let i=0;i<bytes.length;i+=0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i+0x8000));
+    return btoa(bin).replace(/\+/g,'-').replace(/\//g,'_').replace(/=+$/,'');
+  },
+
+  fromB64(str){
+    const bin = atob(str.replace(/-/g,'+').replace(/_/g,'/'));
+    const out = new Uint8Array(bin.length);
+    for(let i=0;i<bin.length;i++) out[i] = bin.charCodeAt(i);
+    return out;
+  },
+
+  // read a stream fully, bailing out once it grows past the limit (deflate bombs)
+  async readCapped(stream){
+    const reader = stream.getReader(), chunks = [];
+    let total = 0;
+    for(;;){
+      const {done, value} = await reader.read();
+      if(done) break;
+      total += value.length;
+      if(total > SHARE_MAX_BYTES){ reader.cancel(); throw new ShareError('link is too large'); }
+      chunks.push(value);
+    }
+    const out = new Uint8Array(total);
+    let off = 0;
+    for(const ch of chunks){ out.set(ch, off); off += ch.length; }
+    return out;
+  },
+
+  async encode(grid, seed){
+    const pal = [], layers = grid.layers.map(l => {
+      const out = {name: l.name, rle: this.encodeCells(l.cells, pal).rle};
+      if(!l.visible) out.visible = false;
+      if(l.locked) out.locked = true;
+      if(l.opacity !== 1) out.opacity = l.opacity;
+      return out;
+    });
+    const payload = {v: SHARE_VERSION, rows: grid.rows, cols: grid.cols, pal, layers};
+    if(Number.isInteger(seed)) payload.seed = seed;
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    if(typeof CompressionStream === 'undefined') return `${SHARE_VERSION}.j.${this.toB64(bytes)}`;
+    const z = await this.readCapped(new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw')));
+    return `${SHARE_VERSION}.z.${this.toB64(z)}`;
+  },
+
+  // returns {rows, cols, cells, layers?, registry, seed}; ShareError carries a user-facing reason, anything else means corrupt data
+  async decode(data){
+    if(data.length > SHARE_MAX_CHARS) throw new ShareError('link is too large');
+    const m = /^(\d+)\.([zj])\.([A-Za-z0-9_-]*)$/.exec(data);
+    if(!m){ // legacy v1: base64 JSON {grid, registry}
+      const obj = JSON.parse(decodeURIComponent(escape(atob(data))));
+      const g = obj && obj.grid;
+      if(!g || !Number.isInteger(g.rows) || !Number.isInteger(g.cols) || !Array.isArray(g.cells) || g.cells.length !== g.rows * g.cols) throw new ShareError('grid is malformed');
+      if(g.rows < 1 || g.cols < 1 || g.rows > MAX_GRID_DIM || g.cols > MAX_GRID_DIM) throw new ShareError('grid size is out of range');
+      return {rows: g.rows, cols: g.cols, cells: g.cells.map(v => typeof v === 'string' ? v : ''), registry: Array.isArray(obj.registry) ? obj.registry : []};
+    }
+    if(Number(m[1]) > SHARE_VERSION) throw new ShareError('link needs a newer version of Emojiton');
+    let bytes = this.fromB64(m[3]);
+    if(m[2] === 'z'){
+      if(typeof DecompressionStream === 'undefined') throw new ShareError('this browser cannot open compressed links');
+      bytes = await this.readCapped(new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw')));
+    }
+    if(bytes.length > SHARE_MAX_BYTES) throw new ShareError('link is too large');
+    const p = JSON.parse(new TextDecoder().decode(bytes));
+    if(!p || p.v !== Number(m[1])) throw new ShareError('version mismatch');
+    if(!Number.isInteger(p.rows) || !Number.isInteger(p.cols) || p.rows < 1 || p.cols < 1 || p.rows > MAX_GRID_DIM || p.cols > MAX_GRID_DIM) throw new ShareError('grid size is out of range');
+    const seed = Number.isInteger(p.seed) && p.seed >= 0 && p.seed <= 0xffffffff ? p.seed : null, size = p.rows * p.cols;
+    if(p.v < 3) return {rows: p.rows, cols: p.cols, cells: this.decodeCells(p.pal, p.rle, size), registry: p.pal, seed};
+    if(!Array.isArray(p.layers) || !p.layers.length || p.layers.length > MAX_LAYERS) throw new ShareError('bad layers');
+    const layers = p.layers.map(l => {
+      if(!l || typeof l.name !== 'string' || !l.name || l.name.length > 32) throw new ShareError('bad layer name');
+      const out = {name: l.name, cells: this.decodeCells(p.pal, l.rle, size)};
+      if(typeof l.visible === 'boolean') out.visible = l.visible;
+      if(typeof l.locked === 'boolean') out.locked = l.locked;
+      if(typeof l.opacity === 'number' && l.opacity >= 0 && l.opacity <= 1) out.opacity = l.opacity;
+      return out;
+    });
+    if(new Set(layers.map(l => l.name)).size !== layers.length) throw new ShareError('duplicate layer names');
+    return {rows: p.rows, cols: p.cols, cells: composeLayers(layers.map(l => l.cells), size), layers, registry: p.pal, seed};
+  },
+
+  hashData(){
+    const m = /^#data=(.+)$/.exec(location.hash);
+    return m ? m[1] : null;
+  },
+
+  async loadFromHash(){
+    const data = this.hashData();
+    if(!data) return false;
+    let map;
+    try { map = await this.decode(data); }
+    catch(e){
+      Log.event(`Share link rejected: ${e.message}`);
+      showToast(`Could not open shared map (${e instanceof ShareError ? e.message : 'link is corrupt'})`, 3000);
+      return false;
+    }
+    Replay.exit(); // the shared map replaces the timeline being replayed
+    const known = new Set(EmojiRegistry.map(normalizeEmoji));
+    for(const v of map.registry || []){
+      const e = registryEntry(v);
+      if(e && !known.has(e)){ known.add(e); EmojiRegistry.push(e); }
+    }
+    Game.level = null;
+    Game.grid.loadJSON({rows: map.rows, cols: map.cols, cells: map.cells, layers: map.layers});
+    Game.resetHistory();
+    if(map.seed != null) Game.setSeed(map.seed);
+    Game.renderLevels();
+    UI.refreshAll();
+    Log.event(`Shared map loaded (${map.rows}×${map.cols})`);
+    showToast('Shared map loaded');
+    return true;
+  }
+};
+
+async function shareURL(){
   try{
-    const payload = {grid: Game.grid.toJSON(), registry: EmojiRegistry.slice()};
-    const encoded = btoa(unescape(encodeURIComponent(JSON.stringify(payload))));
-    const url = location.origin + location.pathname + '#data=' + encoded;
+    const url = location.origin + location.pathname + '#data=' + await Share.encode(Game.grid, Rng.seed);
+    if(url.length > SHARE_MAX_CHARS){ showToast('Map too large for a link — use Export instead'); return; }
     navigator.clipboard.writeText(url).then(()=> showToast('Share URL copied'), ()=> prompt('Copy URL', url));
   }catch(e){ showToast('Share failed'); }
 }
@@ -833,55 +2272,366 @@ function unlockKonami(){
 
 /* ======================
    Time-lapse & replay
+   - Replay moves the timeline cursor (Game.seek) across Game.actions, redo tail included; leaving
+     seeks back to where the user was, so nothing is lost
+   - edits are vetoed while it is open (Game.canEdit / Replay.blocked)
+   - each entry describes its action; hovering one previews the map after it with the changed cells marked
    ====================== */
-function playBackActions(){
-  if(!Game.actions || Game.actions.length < 2){ showToast('No actions to replay'); return; }
-  const init = Game.actions[0];
-  if(init && init.snapshot) Game.grid.loadJSON(init.snapshot);
-  let i = 1;
-  const tick = ()=>{
-    if(i >= Game.actions.length){ showToast('Replay finished'); return; }
-    const a = Game.actions[i];
-    if(a.type === 'set') Game.grid.set(a.r, a.c, a.next, true);
-    if(a.type === 'fill') Game.grid.fillAll(a.next);
-    if(a.type === 'multi') Game.grid.multiSet(a.items);
-    i++;
-    setTimeout(tick, 120);
-  };
-  tick();
-}
-function timelapse(){ playBackActions(); }
+const REPLAY_STEP_MS = 400; // per action at 1×
+
+const Replay = {
+  active: false,
+  home: 0,        // timeline index to restore on exit
+  playing: false,
+  loop: false,
+  speed: 1,
+  timer: null,
+  scratch: null,  // preview timeline: shares the game's actions and checkpoints, seeks on its own grid
+
+  init(){
+    $('#replay-play').addEventListener('click', ()=> this.playing ? this.pause() : this.play());
+    $('#replay-speed').addEventListener('change', e => { this.speed = Number(e.target.value) || 1; });
+    $('#replay-loop').addEventListener('change', e => { this.loop = e.target.checked; });
+    $('#replay-scrub').addEventListener('input', e => { this.pause(); this.jump(Number(e.target.value)); });
+    $('#replay-exit').addEventListener('click', ()=> this.exit());
+    const list = $('#replay-list');
+    list.addEventListener('click', e => { const li = e.target.closest('li'); if(li){ this.pause(); this.jump(Number(li.dataset.idx)); } });
+    list.addEventListener('mouseover', e => { const li = e.target.closest('li'); if(li) this.preview(Number(li.dataset.idx)); });
+    list.addEventListener('mouseleave', ()=> this.preview(Game.actionIndex));
+  },
+
+  // open at the first action (from the start, playing) or at the current one
+  enter(fromStart){
+    if(Game.actions.length < 2){ showToast('No actions to replay'); return; }
+    if(!this.active){
+      Game.stopSim();
+      Game.endStroke();
+      this.active = true;
+      this.home = Game.actionIndex;
+      this.scratch = null;
+      $('#replay-panel').hidden = false;
+      this.renderList();
+      Log.event(`Replay opened at action ${this.home}`);
+    }
+    if(fromStart){ this.jump(1); this.play(); }
+    else this.jump(Game.actionIndex);
+  },
+  exit(){
+    if(!this.active) return;
+    this.pause();
+    this.active = false;
+    this.scratch = null;
+    $('#replay-panel').hidden = true;
+    Game.seek(this.home);
+    Log.event('Replay closed, map restored');
+  },
+  // true (with a toast) when an edit must wait for the replay to close
+  blocked(){
+    if(this.active) showToast('Leave the replay to edit');
+    return this.active;
+  },
+
+  play(){
+    if(!this.active) return;
+    if(Game.actionIndex >= Game.actions.length) this.jump(1);
+    this.playing = true;
+    $('#replay-play').textContent = '⏸';
+    this.schedule();
+  },
+  pause(){
+    this.playing = false;
+    clearTimeout(this.timer); this.timer = null;
+    $('#replay-play').textContent = '▶';
+  },
+  schedule(){
+    clearTimeout(this.timer);
+    this.timer = setTimeout(()=> this.tick(), REPLAY_STEP_MS / this.speed);
+  },
+  tick(){
+    if(!this.playing) return;
+    if(Game.actionIndex < Game.actions.length) this.jump(Game.actionIndex + 1);
+    else if(this.loop) this.jump(1);
+    else { this.pause(); showToast('Replay finished'); return; }
+    this.schedule();
+  },
+
+  jump(idx){
+    Game.seek(idx);
+    const n = Game.actions.length, i = Game.actionIndex;
+    $('#replay-scrub').max = n; $('#replay-scrub').value = i;
+    $('#replay-pos').textContent = `${i} / ${n}: ${this.describe(Game.actions[i - 1])}${i === this.home ? ' (your map)' : ''}`;
+    for(const li of $('#replay-list').children) li.classList.toggle('active', Number(li.dataset.idx) === i);
+    const cur = $(`#replay-list li[data-idx="${i}"]`);
+    if(cur && cur.scrollIntoView) cur.scrollIntoView({block:'nearest'});
+    this.preview(i);
+  },
+
+  renderList(){
+    const el = $('#replay-list');
+    el.innerHTML = '';
+    Game.actions.forEach((a, k) => {
+      el.appendChild(makeElem('li', {'data-idx': k + 1, title: new Date(a.t).toLocaleTimeString()}, `${k + 1}. ${this.describe(a)}`));
+    });
+  },
+
+  describe(a){
+    if(!a) return '';
+    const dims = g => `${g.rows}×${g.cols}`;
+    switch(a.type){
+      case 'init': return `Start (${dims(a.snapshot)} map)`;
+      case 'set': return a.next ? `${a.prev ? a.prev + ' → ' : ''}${a.next} at ${a.r},${a.c}` : `Erase ${a.prev} at ${a.r},${a.c}`;
+      case 'multi': {
+        const placed = new Map();
+        for(const it of a.items) if(it.val) placed.set(it.val, (placed.get(it.val) || 0) + 1);
+        const top = [...placed].sort((x, y) => y[1] - x[1]).slice(0, 3).map(([v, n]) => `${v}×${n}`).join(' ');
+        const erased = a.items.filter(it => !it.val).length;
+        return `${a.op || 'multi'}: ${a.items.length} cell${a.items.length === 1 ? '' : 's'}${top ? ' ' + top : ''}${erased ? ` (−${erased})` : ''}`;
+      }
+      case 'fill': return a.next === 'randomize' ? 'Randomize' : a.next ? `Fill with ${a.next}` : 'Clear map';
+      case 'setlevel': return `Level: ${a.level.name || a.level.id}`;
+      case 'resize': return a.op === 'new' ? `New map ${dims(a.next)}` : `Resize ${dims(a.prev)} → ${dims(a.next)}`;
+      default: return a.type;
+    }
+  },
+
+  // cell indices an action touched in its resulting map; null = all of them
+  touched(a, grid){
+    if(a.type === 'set') return [grid.index(a.r, a.c)];
+    if(a.type === 'multi') return a.items.map(it => grid.index(it.r, it.c));
+    return a.type === 'init' ? [] : null;
+  },
+
+  // map after action idx, changed cells outlined; the scratch timeline steps from where the last preview left
+  // it or restores the nearest checkpoint, and has no level or pathing hooks to fire
+  preview(idx){
+    const cv = $('#replay-preview'), a = Game.actions[idx - 1];
+    if(!cv || !a) return;
+    let tl = this.scratch;
+    if(!tl || tl.actions !== Game.actions){
+      tl = this.scratch = new Timeline(new GridModel(1, 1));
+      tl.actions = Game.actions;
+      tl.checkpoints = Game.timeline.checkpoints;
+      tl.restoreTo(idx);
+    } else tl.seek(idx);
+    const grid = tl.grid;
+    const ctx = cv.getContext('2d'), W = cv.width, H = cv.height;
+    const s = Math.min(W / grid.cols, H / grid.rows), ox = (W - s * grid.cols) / 2, oy = (H - s * grid.rows) / 2;
+    ctx.clearRect(0, 0, W, H);
+    grid.cells.forEach((v, i) => {
+      if(!v) return;
+      ctx.fillStyle = THUMB_COLORS[tileInfo(v).category] || THUMB_COLORS.other;
+      ctx.fillRect(ox + (i % grid.cols) * s, oy + Math.floor(i / grid.cols) * s, Math.max(1, s - 0.5), Math.max(1, s - 0.5));
+    });
+    const marks = this.touched(a, grid);
+    ctx.strokeStyle = '#ffe066'; ctx.lineWidth = Math.max(1, s / 6);
+    if(!marks) ctx.strokeRect(ox + 1, oy + 1, s * grid.cols - 2, s * grid.rows - 2);
+    else for(const i of marks) ctx.strokeRect(ox + (i % grid.cols) * s, oy + Math.floor(i / grid.cols) * s, s, s);
+  }
+};
+function playBackActions(){ Replay.enter(true); }
+function timelapse(){ Replay.enter(true); }
 
 /* ======================
-   Undo/Redo already on Game (generator)
+   Undo/Redo live on Game (command stack with inverses + checkpoints)
    ====================== */
 
 /* ======================
-   Timely helpers: snapshot export
+   Animated export (GIF / WebM / PNG)
+   - frames are model snapshots {rows, cols, cells, vehicles}, drawn cell by cell at an integer pitch,
+     so output never depends on DOM layout or zoom
+   - time-lapse: the applied history replayed on a scratch grid; simulation: one frame per live tick
+   - GIF via the core GifEncoder; WebM via MediaRecorder on a canvas stream, played back at the frame rate
    ====================== */
-$('#btn-export-gif').addEventListener('click', ()=>{
-  // simple snapshot using canvas - naive but functional
-  const gridWrap = Game.grid.container;
-  const rect = gridWrap.getBoundingClientRect();
-  const canvas = document.createElement('canvas');
-  const scale = 2;
-  canvas.width = rect.width * scale; canvas.height = rect.height * scale;
-  const ctx = canvas.getContext('2d');
-  ctx.fillStyle = '#fff'; ctx.fillRect(0,0,canvas.width,canvas.height);
-  const cell = gridWrap.children[0]?.getBoundingClientRect().width || 48;
-  ctx.font = `${cell*0.9 * scale}px serif`;
-  for(let r=0;r<Game.grid.rows;r++){
-    for(let c=0;c<Game.grid.cols;c++){
-      const v = Game.grid.get(r,c);
-      if(!v) continue;
-      const x = c * (cell + 6) * scale + 8*scale;
-      const y = r * (cell + 6) * scale + (cell * 0.85 * scale);
-      ctx.fillStyle = '#000';
-      ctx.fillText(v, x, y);
+const EXPORT_MAX_PX = 2048;    // longest side of the output
+const EXPORT_MAX_FRAMES = 600; // longer histories are sampled evenly
+
+const AnimExport = {
+  recording: null, // {frames, left, done} while simulation ticks are captured
+  glyphs: new Map(),
+
+  open(){
+    const webm = typeof MediaRecorder !== 'undefined' && !!HTMLCanvasElement.prototype.captureStream;
+    $('#export-format option[value="webm"]').disabled = !webm;
+    if(!webm && $('#export-format').value === 'webm') $('#export-format').value = 'gif';
+    $('#export-crop option[value="selection"]').disabled = !Selection.rect;
+    if(!Selection.rect) $('#export-crop').value = 'map';
+    $('#export-dialog').showModal();
+  },
+  async onClose(){
+    if($('#export-dialog').returnValue !== 'export') return;
+    const opts = {
+      source: $('#export-source').value, format: $('#export-format').value,
+      fps: clamp(Number($('#export-fps').value) || 8, 1, 30), cell: clamp(Number($('#export-cell').value) || 24, 4, 96),
+      crop: $('#export-crop').value === 'selection' ? Selection.rect : null, ticks: clamp(Number($('#export-ticks').value) || 60, 1, EXPORT_MAX_FRAMES)
+    };
+    try { await this.run(opts); }
+    catch(e){ showToast('Export failed: ' + e.message, 4000); Log.event('Export failed: ' + e.message); }
+  },
+
+  async run(opts){
+    if(this.recording){ showToast('Already recording'); return; }
+    const frames = opts.source === 'timelapse' ? this.timelapseFrames() : opts.source === 'sim' ? await this.recordSim(opts.ticks) : [this.frame(Game.grid, Game.traffic)];
+    if(!frames.length){ showToast('Nothing to export'); return; }
+    const box = this.box(frames, opts.crop);
+    const layout = this.layout(box, opts.cell);
+    if(layout.cell < opts.cell) showToast(`Cell size reduced to ${layout.cell}px to fit ${EXPORT_MAX_PX}px`);
+    const format = opts.source === 'still' ? 'png' : opts.format;
+    const canvas = makeElem('canvas', {width: layout.w, height: layout.h});
+    const ctx = canvas.getContext('2d');
+    const started = performance.now();
+    let blob;
+    if(format === 'png'){
+      this.draw(ctx, frames[frames.length - 1], box, layout);
+      blob = await new Promise(res => canvas.toBlob(res, 'image/png'));
+    } else if(format === 'webm') blob = await this.toWebm(canvas, ctx, frames, box, layout, opts.fps);
+    else blob = await this.toGif(canvas, ctx, frames, box, layout, opts.fps);
+    if(!blob) throw new Error('encoder produced no data');
+    const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = `emojiton_${opts.source}.${format}`; a.click();
+    Log.event(`Exported ${format.toUpperCase()}: ${frames.length} frame${frames.length === 1 ? '' : 's'}, ${layout.w}×${layout.h}px, ${(blob.size / 1024).toFixed(1)} KB in ${Math.round(performance.now() - started)} ms`);
+  },
+
+  frame(grid, sim){
+    return {rows: grid.rows, cols: grid.cols, cells: grid.cells.slice(), vehicles: sim ? sim.snapshot() : []};
+  },
+
+  // the applied history replayed from its init snapshot, one frame per action
+  timelapseFrames(){
+    const actions = Game.history();
+    if(!actions.length || !actions[0].snapshot) return [];
+    const grid = new GridModel(1, 1), tl = new Timeline(grid);
+    grid.loadJSON(actions[0].snapshot);
+    const step = Math.max(1, Math.ceil((actions.length - 1) / (EXPORT_MAX_FRAMES - 1)));
+    const frames = [this.frame(grid)];
+    for(let i=1;i<actions.length;i++){
+      tl.apply(actions[i], 1);
+      if(i % step === 0 || i === actions.length - 1) frames.push(this.frame(grid));
+    }
+    return frames;
+  },
+
+  // capture the next `ticks` simulation ticks (starting the simulation if needed)
+  recordSim(ticks){
+    return new Promise(resolve => {
+      const wasPlaying = Game.playing;
+      this.recording = {frames: [this.frame(Game.grid, Game.traffic)], left: ticks, done: frames => {
+        this.recording = null;
+        if(!wasPlaying) Game.stopSim();
+        resolve(frames);
+      }};
+      showToast(`Recording ${ticks} ticks…`);
+      if(!wasPlaying) Game.startSim();
+    });
+  },
+  // called by Game.simTick after each tick
+  capture(sim){
+    const rec = this.recording;
+    if(!rec) return;
+    rec.frames.push(this.frame(Game.grid, sim));
+    if(--rec.left <= 0) rec.done(rec.frames);
+  },
+  // the simulation was stopped early: export what was captured
+  interrupt(){
+    if(this.recording) this.recording.done(this.recording.frames);
+  },
+
+  // cell rectangle to draw: the crop, else the largest map seen across the frames
+  box(frames, crop){
+    const rows = Math.max(...frames.map(f => f.rows)), cols = Math.max(...frames.map(f => f.cols));
+    if(!crop) return {r0:0, c0:0, rows, cols};
+    const r0 = Math.min(crop.r0, rows - 1), c0 = Math.min(crop.c0, cols - 1);
+    return {r0, c0, rows: Math.min(crop.r1, rows - 1) - r0 + 1, cols: Math.min(crop.c1, cols - 1) - c0 + 1};
+  },
+  // integer geometry: the on-screen proportions (GRID_GAP / GRID_PAD per 48px cell) scaled to `cell`,
+  // shrunk until the image fits EXPORT_MAX_PX
+  layout(box, cell){
+    for(;;){
+      const gap = Math.max(1, Math.round(cell * GRID_GAP / 48)), pad = Math.max(1, Math.round(cell * GRID_PAD / 48));
+      const w = pad*2 + box.cols * (cell + gap) - gap, h = pad*2 + box.rows * (cell + gap) - gap;
+      if(Math.max(w, h) <= EXPORT_MAX_PX || cell <= 2) return {cell, gap, pad, w, h};
+      cell--;
+    }
+  },
+
+  draw(ctx, f, box, L){
+    const light = document.body.classList.contains('light-on'), pitch = L.cell + L.gap;
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = light ? '#f7f9fc' : '#071427';
+    ctx.fillRect(0, 0, L.w, L.h);
+    for(let r=0;r<box.rows;r++){
+      for(let c=0;c<box.cols;c++){
+        const gr = box.r0 + r, gc = box.c0 + c;
+        if(gr >= f.rows || gc >= f.cols) continue;
+        const v = f.cells[gr * f.cols + gc], x = L.pad + c * pitch, y = L.pad + r * pitch;
+        ctx.globalAlpha = v ? 1 : 0.25;
+        ctx.fillStyle = light ? '#ffffff' : '#16243a';
+        ctx.beginPath();
+        if(ctx.roundRect) ctx.roundRect(x, y, L.cell, L.cell, Math.round(L.cell * 9 / 48)); else ctx.rect(x, y, L.cell, L.cell);
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        if(v) ctx.drawImage(this.glyph(v, L.cell, light), x, y);
+      }
+    }
+    for(const veh of f.vehicles){
+      const r = veh.r - box.r0, c = veh.c - box.c0;
+      if(r < 0 || c < 0 || r >= box.rows || c >= box.cols) continue;
+      const x = L.pad + c * pitch, y = L.pad + r * pitch;
+      if(veh.state === 'queued'){
+        ctx.strokeStyle = 'rgba(255,90,90,0.9)'; ctx.lineWidth = Math.max(1, L.cell / 16);
+        ctx.strokeRect(x + 1, y + 1, L.cell - 2, L.cell - 2);
+      }
+      ctx.drawImage(this.glyph('🚗', L.cell, light), x + L.cell / 4, y + L.cell / 4, L.cell / 2, L.cell / 2);
+    }
+  },
+  glyph(v, px, light){
+    const key = `${v}|${px}|${light ? 1 : 0}`;
+    let img = this.glyphs.get(key);
+    if(img) return img;
+    if(this.glyphs.size > 256) this.glyphs.clear();
+    img = makeElem('canvas', {width: px, height: px});
+    const gx = img.getContext('2d');
+    gx.font = `${Math.round(px * 0.5)}px serif`;
+    gx.textAlign = 'center'; gx.textBaseline = 'middle';
+    gx.fillStyle = light ? '#0b1220' : '#e6eef8';
+    gx.fillText(v, px / 2, px / 2 + px * 0.03);
+    this.glyphs.set(key, img);
+    return img;
+  },
+
+  async toGif(canvas, ctx, frames, box, L, fps){
+    const gif = new GifEncoder(L.w, L.h), pixels = ()=> ctx.getImageData(0, 0, L.w, L.h).data;
+    // palette from up to 32 evenly spaced frames, then encode every frame; yield so the page stays responsive
+    const every = Math.max(1, Math.ceil(frames.length / 32));
+    for(let i=0;i<frames.length;i+=every){ this.draw(ctx, frames[i], box, L); gif.sample(pixels(), 2); }
+    for(let i=0;i<frames.length;i++){
+      this.draw(ctx, frames[i], box, L);
+      gif.add(pixels(), 1000 / fps);
+      if(i % 10 === 9) await new Promise(r => setTimeout(r, 0));
     }
+    return new Blob([gif.finish()], {type:'image/gif'});
+  },
+
+  // real-time playback into MediaRecorder: takes frames / fps seconds
+  toWebm(canvas, ctx, frames, box, L, fps){
+    return new Promise((resolve, reject) => {
+      const type = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(t => !MediaRecorder.isTypeSupported || MediaRecorder.isTypeSupported(t));
+      const stream = canvas.captureStream(fps), chunks = [];
+      const rec = new MediaRecorder(stream, type ? {mimeType: type} : {});
+      rec.ondataavailable = e => { if(e.data && e.data.size) chunks.push(e.data); };
+      rec.onstop = ()=> { stream.getTracks().forEach(t => t.stop()); resolve(new Blob(chunks, {type:'video/webm'})); };
+      rec.onerror = e => reject(e.error || new Error('MediaRecorder error'));
+      this.draw(ctx, frames[0], box, L);
+      rec.start();
+      showToast(`Recording WebM (${(frames.length / fps).toFixed(1)} s)…`);
+      let i = 1;
+      const next = ()=> {
+        if(i >= frames.length){ rec.stop(); return; }
+        this.draw(ctx, frames[i++], box, L);
+        setTimeout(next, 1000 / fps);
+      };
+      setTimeout(next, 1000 / fps);
+    });
   }
-  const a = document.createElement('a'); a.href = canvas.toDataURL('image/png'); a.download = 'emojiton_snapshot.png'; a.click();
-});
+};
 
 /* ======================
    Small SFX
@@ -925,23 +2675,131 @@ const Log = {
 /* ======================
    Save / Load slots
    ====================== */
+const SLOT_PREFIX = 'emojiton-save-';
+const STORAGE_BUDGET = 5 * 1024 * 1024; // typical per-origin localStorage quota (bytes, UTF-16)
+const THUMB_COLORS = {residential:'#f0a35e', work:'#6c8cff', road:'#8a94a6', nature:'#4caf6a', vehicle:'#e25c5c', other:'#b28ce0'};
+
 function saveSlot(){
-  const name = $('#save-name').value || ('slot-' + uid(4));
-  const payload = {grid: Game.grid.toJSON(), actions: Game.actions, registry: EmojiRegistry.slice(), stamp: now()};
-  localStorage.setItem(`emojiton-save-${name}`, JSON.stringify(payload));
-  showToast('Saved ' + name);
+  const name = $('#save-name').value.trim() || ('slot-' + uid(4));
+  Replay.exit(); // save the user's map, not the replayed position
+  if(SaveSlots.write(name, JSON.stringify(Game.savePayload()))) showToast('Saved ' + name);
+  SaveSlots.render();
 }
 function loadSlot(name){
-  const raw = localStorage.getItem(`emojiton-save-${name}`);
+  const raw = localStorage.getItem(SLOT_PREFIX + name);
   if(!raw) return;
-  const p = JSON.parse(raw);
-  if(p.registry){ EmojiRegistry.length = 0; p.registry.forEach(x=>EmojiRegistry.push(x)); }
-  if(p.grid) Game.grid.loadJSON(p.grid);
-  if(p.actions) Game.actions = p.actions;
-  UI.refreshAll();
+  let save;
+  try { save = readSave(JSON.parse(raw)); }
+  catch(e){ showToast(`Cannot load ${name}: ${e instanceof MapFormatError ? e.message : 'corrupt data'}`); return; }
+  Game.applySave(save);
+  Log.event(`Loaded slot ${name}`);
+  showToast('Loaded ' + name);
 }
+
+/* Slot browser: list, thumbnails, rename/duplicate/delete, quota warning */
+const SaveSlots = {
+  names(){
+    const out = [];
+    for(let i=0;i<localStorage.length;i++){
+      const k = localStorage.key(i);
+      if(k && k.startsWith(SLOT_PREFIX)) out.push(k.slice(SLOT_PREFIX.length));
+    }
+    return out;
+  },
+
+  list(){
+    return this.names().map(name => {
+      const raw = localStorage.getItem(SLOT_PREFIX + name) || '';
+      let p = null, problem = null;
+      try { p = readSave(JSON.parse(raw)); }
+      catch(e){ problem = e instanceof MapFormatError ? e.message : 'not valid JSON'; }
+      return {name, bytes: raw.length * 2, stamp: (p && p.stamp) || 0, grid: p && p.grid, broken: !p, problem};
+    }).sort((a, b) => b.stamp - a.stamp);
+  },
+
+  // false (with a toast) when the browser refuses the write
+  write(name, raw){
+    try { localStorage.setItem(SLOT_PREFIX + name, raw); return true; }
+    catch(e){ showToast('Storage is full — delete some slots first', 3000); Log.event(`Save failed for ${name}: ${e.name}`); return false; }
+  },
+
+  rename(name){
+    const to = (prompt('Rename slot', name) || '').trim();
+    if(!to || to === name) return;
+    if(localStorage.getItem(SLOT_PREFIX + to) !== null){ showToast(`Slot "${to}" already exists`); return; }
+    if(!this.write(to, localStorage.getItem(SLOT_PREFIX + name))) return;
+    localStorage.removeItem(SLOT_PREFIX + name);
+    Log.event(`Renamed slot ${name} → ${to}`);
+    this.render();
+  },
+
+  duplicate(name){
+    let to = `${name} copy`, n = 2;
+    while(localStorage.getItem(SLOT_PREFIX + to) !== null) to = `${name} copy ${n++}`;
+    if(this.write(to, localStorage.getItem(SLOT_PREFIX + name))) Log.event(`Duplicated slot ${name} → ${to}`);
+    this.render();
+  },
+
+  remove(name){
+    if(!confirm(`Delete slot "${name}"?`)) return;
+    localStorage.removeItem(SLOT_PREFIX + name);
+    Log.event(`Deleted slot ${name}`);
+    this.render();
+  },
+
+  usage(){
+    let chars = 0;
+    for(let i=0;i<localStorage.length;i++){ const k = localStorage.key(i); chars += k.length + (localStorage.getItem(k) || '').length; }
+    return chars * 2;
+  },
+
+  thumbnail(grid){
+    const cv = makeElem('canvas', {class:'slot-thumb', width:64, height:48});
+    if(!grid || !grid.rows || !grid.cols) return cv;
+    const ctx = cv.getContext('2d');
+    const s = Math.min(64 / grid.cols, 48 / grid.rows);
+    const ox = (64 - s * grid.cols) / 2, oy = (48 - s * grid.rows) / 2;
+    for(let i=0;i<grid.cells.length;i++){
+      const v = grid.cells[i];
+      if(!v) continue;
+      ctx.fillStyle = THUMB_COLORS[tileInfo(v).category] || THUMB_COLORS.other;
+      ctx.fillRect(ox + (i % grid.cols) * s, oy + Math.floor(i / grid.cols) * s, Math.max(1, s - 0.5), Math.max(1, s - 0.5));
+    }
+    return cv;
+  },
+
+  render(){
+    const el = $('#slot-list');
+    el.innerHTML = '';
+    const slots = this.list();
+    if(!slots.length) el.appendChild(makeElem('div', {class:'slot-empty'}, 'No saved slots yet'));
+    for(const s of slots){
+      const row = makeElem('div', {class:'slot-item' + (s.broken ? ' broken' : '')});
+      row.appendChild(this.thumbnail(s.grid));
+      const meta = makeElem('div', {class:'slot-meta'});
+      meta.appendChild(makeElem('strong', {}, s.name));
+      const when = s.stamp ? new Date(s.stamp).toLocaleString() : 'unknown date';
+      meta.appendChild(makeElem('small', s.broken ? {title: s.problem} : {}, s.broken ? `Unreadable save (${s.problem})` : `${when} • ${s.grid.rows}×${s.grid.cols} • ${(s.bytes / 1024).toFixed(1)} KB`));
+      row.appendChild(meta);
+      const actions = makeElem('div', {class:'slot-actions'});
+      [['load','Load'],['rename','Rename'],['duplicate','Copy'],['remove','Delete']].forEach(([act, label]) => {
+        const b = makeElem('button', {'data-act': act}, label);
+        if(act === 'load' && s.broken) b.disabled = true;
+        b.addEventListener('click', ()=> act === 'load' ? loadSlot(s.name) : this[act](s.name));
+        actions.appendChild(b);
+      });
+      row.appendChild(actions);
+      el.appendChild(row);
+    }
+    const used = this.usage(), ratio = used / STORAGE_BUDGET;
+    const q = $('#slot-quota');
+    q.textContent = `Storage ${(used / 1048576).toFixed(2)} MB of ~${STORAGE_BUDGET / 1048576} MB` + (ratio > 0.8 ? ' — almost full, delete old slots' : '');
+    q.classList.toggle('warn', ratio > 0.8);
+  }
+};
 function exportRegPack(){
-  const blob = new Blob([JSON.stringify(EmojiRegistry.slice(), null, 2)], {type:'application/json'});
+  const pack = {emojis: EmojiRegistry.slice(), tiles: packTiles(EmojiRegistry)};
+  const blob = new Blob([JSON.stringify(pack, null, 2)], {type:'application/json'});
   const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = 'emojiton_pack.json'; a.click();
 }
 $('#btn-export-reg').addEventListener('click', exportRegPack);
@@ -953,14 +2811,15 @@ $('#btn-clear-reg').addEventListener('click', ()=>{ if(confirm('Clear emoji regi
 window.addEventListener('load', ()=>{
   // small polyfill for CSS var support if needed (browsers OK)
   Game.init();
-  UI.init();
   // initial zoom
   UI.setZoom(1);
-  // try restore autosave
-  try{
+  // shared links win over the autosave prompt
+  if(Share.hashData()) Share.loadFromHash();
+  else try{
     const auto = JSON.parse(localStorage.getItem('emojiton-autosave') || 'null');
-    if(auto && auto.grid && confirm('Restore last autosave?')){ Game.grid.loadJSON(auto.grid); Game.actions = auto.actions || Game.actions; UI.refreshAll(); Log.event('Autosave restored'); }
-  }catch(e){}
+    if(auto && auto.grid && confirm('Restore last autosave?')){ Game.applySave(readSave(auto)); Log.event('Autosave restored'); }
+  }catch(e){ Log.event(`Autosave not restored: ${e.message}`); }
+  window.addEventListener('hashchange', ()=> Share.loadFromHash());
   // entry animations
   document.querySelectorAll('.panel').forEach((p,i)=>{ p.style.transform='translateY(6px)'; setTimeout(()=> p.style.transform='translateY(0)', 120 + i*40); });
 });
@@ -0,0 +1,91 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const Core = require('../core.js');
+
+// the real worker script in a sandbox: messages in through self.onmessage, replies cloned out of postMessage
+// as a Worker would
+function workerEngine(){
+  const waiting = new Map();
+  const ctx = {setTimeout, postMessage: msg => { const done = waiting.get(msg.id); waiting.delete(msg.id); done(structuredClone(msg)); }};
+  ctx.self = ctx;
+  vm.createContext(ctx);
+  vm.runInContext(Core.pathWorkerSource(), ctx);
+  let nextId = 1, held = null;
+  return {
+    // mirror PathPool.sync: the whole map on a resize, else only the changed cells
+    sync(rows, cols, weights){
+      if(!held || held.rows !== rows || held.cols !== cols){
+        held = {rows, cols, weights: Float32Array.from(weights)};
+        ctx.onmessage({data: {cmd:'map', rows, cols, weights: held.weights.slice()}});
+        return;
+      }
+      const idx = [], val = [];
+      weights.forEach((w, i) => { if(w !== held.weights[i]){ idx.push(i); val.push(w); } });
+      held.weights.set(weights);
+      if(idx.length) ctx.onmessage({data: {cmd:'diff', idx: Int32Array.from(idx), val: Float32Array.from(val)}});
+    },
+    // resolves the reply; .id is the request id
+    find(req){
+      const id = nextId++;
+      const reply = new Promise(resolve => {
+        waiting.set(id, resolve);
+        ctx.onmessage({data: Object.assign({cmd:'find', id}, req)});
+      });
+      return Object.assign(reply, {id});
+    },
+    cancel(id){ ctx.onmessage({data: {cmd:'cancel', id}}); }
+  };
+}
+
+const TILES = ['', '', '', '🛣️', '🛣️', '🅿️', '🌳', '🏭', '🚗', '🏠', '🏢', '🏗️'];
+
+test('worker and main-thread engines return identical paths on randomized maps', async () => {
+  const rng = Core.createRng('engines');
+  const worker = workerEngine();
+  for(let t=0;t<40;t++){
+    const rows = 4 + rng.int('map', 24), cols = 4 + rng.int('map', 24);
+    const grid = new Core.GridModel(rows, cols);
+    grid.setCells(Array.from({length: rows * cols}, () => TILES[rng.int('map', TILES.length)]));
+    const main = new Core.AStar(grid);
+    main.diagonal = t % 2 === 0;
+    // a few rounds of edits between searches, so the worker runs on diffs and the main engine on its cache
+    for(let round=0;round<4;round++){
+      for(let e=0;e<rows;e++) grid.set(rng.int('map', rows), rng.int('map', cols), TILES[rng.int('map', TILES.length)]);
+      worker.sync(rows, cols, main.weights());
+      for(const algorithm of Object.keys(Core.PATHFINDERS)){
+        main.algorithm = algorithm;
+        for(let q=0;q<3;q++){
+          const start = {r: rng.int('map', rows), c: rng.int('map', cols)}, goal = {r: rng.int('map', rows), c: rng.int('map', cols)};
+          const local = main.findPath(start, goal);
+          const remote = await worker.find({algorithm, start, goal, diagonal: main.diagonal});
+          assert.deepEqual(remote.path, local, `${algorithm} ${rows}×${cols} ${start.r},${start.c}→${goal.r},${goal.c} (trial ${t}, round ${round})`);
+        }
+      }
+    }
+  }
+});
+
+test('a cancelled find is dropped before it runs', async () => {
+  const worker = workerEngine();
+  worker.sync(1, 3, new Float32Array([1, 1, 1]));
+  let answered = false;
+  const dropped = worker.find({start:{r:0, c:2}, goal:{r:0, c:0}, diagonal:true});
+  dropped.then(() => { answered = true; });
+  worker.cancel(dropped.id);
+  const kept = await worker.find({start:{r:0, c:0}, goal:{r:0, c:2}, diagonal:true});
+  assert.deepEqual(kept.path.map(p => p.c), [0, 1, 2]);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.equal(answered, false);
+});
+
+test('each find runs on the map it was sent with, even when updates overtake it', async () => {
+  const worker = workerEngine();
+  worker.sync(1, 3, new Float32Array([1, 1, 1]));
+  const before = worker.find({start:{r:0, c:0}, goal:{r:0, c:2}, diagonal:true});
+  worker.sync(1, 3, new Float32Array([1, 0, 1])); // the middle cell is built over before the first search runs
+  const after = worker.find({start:{r:0, c:0}, goal:{r:0, c:2}, diagonal:true});
+  assert.deepEqual((await before).path.map(p => p.c), [0, 1, 2]);
+  assert.equal((await after).path, null);
+});
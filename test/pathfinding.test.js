@@ -0,0 +1,120 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Core = require('../core.js');
+
+// seeded random weight tables: walls, roads, plain ground and dearer tiles
+function randomMap(rng, rows, cols, pool=[0, 0, 0.7, 1, 1, 1, 1.15, 1.2, 1.3]){
+  const weights = new Float32Array(rows * cols).map(() => pool[rng.int('map', pool.length)]);
+  const cell = () => ({r: rng.int('map', rows), c: rng.int('map', cols)});
+  return {weights, start: cell(), goal: cell()};
+}
+
+function pathCost(path, weights, cols, goal){
+  let cost = 0;
+  for(let j=1;j<path.length;j++){
+    const a = path[j-1], b = path[j], i = b.r * cols + b.c;
+    const w = b.r === goal.r && b.c === goal.c ? (weights[i] || 1) : weights[i];
+    assert.ok(w > 0, `path enters blocked cell ${b.r},${b.c}`);
+    assert.ok(Math.abs(a.r - b.r) <= 1 && Math.abs(a.c - b.c) <= 1, 'path steps to a neighbour');
+    cost += (a.r !== b.r && a.c !== b.c ? Math.SQRT2 : 1) * w;
+  }
+  return cost;
+}
+
+test('every pathfinder finds an optimal path whenever A* does', () => {
+  const rng = Core.createRng('pathfinders');
+  for(let t=0;t<60;t++){
+    const rows = 4 + rng.int('map', 20), cols = 4 + rng.int('map', 20), diagonal = t % 2 === 0;
+    const {weights, start, goal} = randomMap(rng, rows, cols);
+    const ref = Core.searchGrid(rows, cols, weights, start, goal, diagonal);
+    const refCost = ref && pathCost(ref, weights, cols, goal);
+    for(const name of Object.keys(Core.PATHFINDERS)){
+      const {path, stats} = Core.runPathfinder(name, rows, cols, weights, start, goal, diagonal);
+      assert.equal(!!path, !!ref, `${name} on trial ${t}: found ${!!path}, A* found ${!!ref}`);
+      if(!path) continue;
+      assert.deepEqual(path[0], start);
+      assert.deepEqual(path[path.length - 1], goal);
+      assert.ok(Math.abs(pathCost(path, weights, cols, goal) - refCost) < 1e-6, `${name} on trial ${t} is not optimal`);
+      assert.ok(Math.abs(stats.cost - refCost) < 1e-4);
+    }
+  }
+});
+
+test('A* stays optimal when every walkable cell costs more than entering the goal', () => {
+  // the goal is a building (weight 0, entered at 1) and the cheapest terrain costs 2: the heuristic must not
+  // charge the last step at 2
+  const rng = Core.createRng('dear-terrain');
+  for(let t=0;t<300;t++){
+    const rows = 3 + rng.int('map', 10), cols = 3 + rng.int('map', 10), diagonal = t % 2 === 0;
+    const {weights, start, goal} = randomMap(rng, rows, cols, [0, 2, 2, 3, 2.5]);
+    weights[goal.r * cols + goal.c] = 0;
+    const ref = Core.PATHFINDERS.dijkstra(rows, cols, weights, start, goal, diagonal);
+    const path = Core.searchGrid(rows, cols, weights, start, goal, diagonal);
+    assert.equal(!!path, !!ref);
+    if(ref) assert.ok(Math.abs(pathCost(path, weights, cols, goal) - pathCost(ref, weights, cols, goal)) < 1e-6, `A* on trial ${t} is not optimal`);
+  }
+});
+
+test('every pathfinder matches Dijkstra on maps where all terrain costs more than 1', () => {
+  const rng = Core.createRng('dear-terrain-all');
+  const pools = [[0, 2, 2, 3, 2.5], [0, 1.2, 1.2, 1.3], [0, 2, 2, 2]];
+  for(let t=0;t<300;t++){
+    const rows = 3 + rng.int('map', 10), cols = 3 + rng.int('map', 10), diagonal = t % 2 === 0;
+    const {weights, start, goal} = randomMap(rng, rows, cols, pools[t % pools.length]);
+    if(t % 2) weights[goal.r * cols + goal.c] = 0;
+    const ref = Core.PATHFINDERS.dijkstra(rows, cols, weights, start, goal, diagonal);
+    const refCost = ref && pathCost(ref, weights, cols, goal);
+    for(const name of Object.keys(Core.PATHFINDERS)){
+      const {path} = Core.runPathfinder(name, rows, cols, weights, start, goal, diagonal);
+      assert.equal(!!path, !!ref, `${name} on trial ${t}: found ${!!path}, Dijkstra found ${!!ref}`);
+      if(path) assert.ok(Math.abs(pathCost(path, weights, cols, goal) - refCost) < 1e-6, `${name} on trial ${t} is not optimal`);
+    }
+  }
+});
+
+test('the goal may be a building, other buildings block', () => {
+  const g = new Core.GridModel(3, 3);
+  g.fillAll('🛣️');
+  g.set(1, 0, '🏭'); g.set(1, 1, '🏭'); g.set(0, 2, '🏢');
+  const astar = new Core.AStar(g);
+  astar.diagonal = false;
+  const path = astar.findPath({r:2, c:0}, {r:0, c:2});
+  assert.deepEqual(path.map(p => `${p.r},${p.c}`), ['2,0', '2,1', '2,2', '1,2', '0,2']);
+  g.set(1, 2, '🏠');
+  assert.equal(astar.findPath({r:2, c:0}, {r:0, c:2}), null);
+});
+
+test('AStar drops a cached path once a building lands on it', () => {
+  const g = new Core.GridModel(1, 6);
+  g.fillAll('🛣️');
+  const astar = new Core.AStar(g);
+  const first = astar.findPath({r:0, c:0}, {r:0, c:5});
+  assert.equal(first.length, 6);
+  assert.deepEqual(astar.findPath({r:0, c:0}, {r:0, c:5}), first);
+  assert.equal(astar.stats.hits, 1);
+  g.set(0, 3, '🏠');
+  assert.equal(astar.findPath({r:0, c:0}, {r:0, c:5}), null);
+  assert.equal(astar.stats.misses, 2);
+});
+
+test('AStar keeps a cached path when cells off it only get dearer', () => {
+  const g = new Core.GridModel(3, 5);
+  g.fillAll('🛣️');
+  const astar = new Core.AStar(g);
+  astar.findPath({r:0, c:0}, {r:0, c:4});
+  g.set(2, 2, '🌳');
+  astar.findPath({r:0, c:0}, {r:0, c:4});
+  assert.equal(astar.stats.revalidated, 1);
+  g.set(2, 2, ''); // passable again: a shorter route may exist now
+  astar.findPath({r:0, c:0}, {r:0, c:4});
+  assert.equal(astar.stats.misses, 2);
+});
+
+test('workReach floods from workplaces through passable cells only', () => {
+  const cells = ['🏠', '🛣️', '🏢', '', '🏭', '🏠'];
+  const reach = Core.workReach(2, 3, cells, false);
+  assert.deepEqual(Array.from(reach), [1, 1, 1, 1, 1, 1]);
+  const walled = Core.workReach(1, 4, ['🏠', '🌳', '🛣️', '🏢'], false);
+  assert.deepEqual(Array.from(walled), [0, 1, 1, 1]);
+});
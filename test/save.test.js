@@ -0,0 +1,83 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Core = require('../core.js');
+
+// a small edited map with its timeline, as Game.savePayload() would hand it to toSave
+function edited(){
+  const grid = new Core.GridModel(3, 4), tl = new Core.Timeline(grid);
+  tl.reset();
+  tl.record({type:'set', r:0, c:0, prev:'', next:'🏠'}); grid.set(0, 0, '🏠');
+  tl.record({type:'set', r:0, c:3, prev:'', next:'🏢'}); grid.set(0, 3, '🏢');
+  const road = [1, 2].map(c => ({r:0, c, val:'🛣️'}));
+  tl.record({type:'multi', op:'line', items: tl.diff(road)}); grid.multiSet(road);
+  grid.active = 2;
+  tl.record({type:'set', r:0, c:1, prev:'', next:'🚗'}); grid.set(0, 1, '🚗');
+  grid.setLayerProps(2, {opacity: 0.5});
+  return {grid, tl};
+}
+
+test('toSave → JSON → readSave keeps the map, layers and timeline', () => {
+  const {grid, tl} = edited();
+  const file = JSON.parse(JSON.stringify(Core.toSave({grid, actions: tl.applied(), registry: ['🏠', '🏢'], mode: {name:'sandbox', level:null, score:3}})));
+  const save = Core.readSave(file);
+  assert.equal(save.version, Core.SAVE_VERSION);
+  assert.deepEqual(save.grid.cells, grid.cells);
+  assert.deepEqual(save.grid.layers.map(l => l.name), Core.DEFAULT_LAYERS);
+  assert.equal(save.grid.layers[2].opacity, 0.5);
+  assert.deepEqual(save.registry, ['🏠', '🏢']);
+  assert.equal(save.mode.score, 3);
+  assert.equal(save.actions.length, tl.actions.length);
+  assert.deepEqual(Core.replaySave(save).cells, grid.cells);
+});
+
+test('readSave returns a copy: editing it leaves the file alone', () => {
+  const {grid, tl} = edited();
+  const file = Core.toSave({grid, actions: tl.applied()});
+  const save = Core.readSave(file);
+  save.grid.cells[0] = '🌳';
+  save.actions[1].next = '🌳';
+  assert.equal(file.grid.cells[0], '🏠');
+  assert.equal(file.actions[1].next, '🏠');
+});
+
+test('an unversioned v1 export migrates and keeps its map', () => {
+  const cells = ['🏠', '🛣️', '', '🏢'];
+  const v1 = {grid: {rows:2, cols:2, cells}, actions: [{type:'init', snapshot: {rows:2, cols:2, cells}}, {type:'fill', next:'randomize'}]};
+  const save = Core.readSave(v1);
+  assert.equal(save.version, Core.SAVE_VERSION);
+  assert.equal(save.registry, null);
+  assert.equal(save.actions.length, 1, 'an unreplayable v1 history restarts from the saved map');
+  assert.deepEqual(save.grid.cells, cells);
+});
+
+test('invalid files are rejected with the offending field named', () => {
+  const {grid, tl} = edited();
+  const good = JSON.parse(JSON.stringify(Core.toSave({grid, actions: tl.applied()})));
+  const broken = (fn) => { const f = JSON.parse(JSON.stringify(good)); fn(f); return f; };
+  const cases = [
+    [f => { f.version = 99; }, /^version: 99 was written by a newer Emojiton/],
+    [f => { f.grid.rows = 0; }, /^grid\.rows: expected an integer in 1\.\.256/],
+    [f => { f.actions[3].items[1].r = -1; }, /^actions\[3\]\.items\[1\]\.r: /],
+    [f => { f.grid.cells[0] = '🌳'; f.grid.layers[0].cells[0] = '🌳'; }, /^actions: replay differs from grid in 1 cell$/],
+    [f => { f.grid.layers[1].cells[0] = '🏭'; }, /^grid\.cells\[0\]: expected "🏭"/]
+  ];
+  for(const [fn, re] of cases){
+    assert.throws(() => Core.readSave(broken(fn)), err => err instanceof Core.MapFormatError && err.name === 'MapFormatError' && re.test(err.message));
+  }
+});
+
+test('readMapPayload accepts a bare grid or a full save', () => {
+  const {grid, tl} = edited();
+  assert.equal(Core.readMapPayload(grid.toJSON()).registry, null);
+  const full = Core.readMapPayload(Core.toSave({grid, actions: tl.applied(), registry: ['🏠']}));
+  assert.deepEqual(full.registry, ['🏠']);
+  assert.deepEqual(full.grid.cells, grid.cells);
+});
+
+test('validTiles keeps well-formed stored entries and drops the rest', () => {
+  const stored = {'🏠': {category:'residential', capacity:4}, '🌳': 'tree', '🚗': {cost:'fast'}, '🛣️': {passable:1}, '🏢': {category:'work', label:'Office'}};
+  assert.deepEqual(Object.keys(Core.validTiles(stored)), ['🏠', '🏢']);
+  assert.deepEqual(Core.validTiles(null), {});
+  assert.deepEqual(Core.validTiles([1, 2]), {});
+});
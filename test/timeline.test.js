@@ -0,0 +1,119 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Core = require('../core.js');
+
+const EMOJI = ['', '🏠', '🏢', '🛣️', '🌳', '🚗'];
+
+// record n seeded edits (single sets, multi batches, layer writes, resizes) the way the page does:
+// record first, then apply
+function scribble(grid, tl, rng, n){
+  for(let k=0;k<n;k++){
+    const roll = rng.random('tool');
+    grid.active = rng.int('tool', grid.layers.length);
+    if(roll < 0.6){
+      const r = rng.int('tool', grid.rows), c = rng.int('tool', grid.cols), next = EMOJI[rng.int('tool', EMOJI.length)];
+      tl.record({type:'set', r, c, prev: grid.layerGet(r, c), next});
+      grid.set(r, c, next);
+    } else if(roll < 0.9){
+      const updates = [];
+      for(let j=0;j<5;j++) updates.push({r: rng.int('tool', grid.rows), c: rng.int('tool', grid.cols), val: EMOJI[rng.int('tool', EMOJI.length)]});
+      const items = tl.diff(updates);
+      if(!items.length) continue;
+      tl.record({type:'multi', op:'paint', items});
+      grid.multiSet(items.map(i => ({r:i.r, c:i.c, val:i.val})));
+    } else {
+      const prev = grid.toJSON(), next = Core.resizeMap(prev, 3 + rng.int('tool', 6), 3 + rng.int('tool', 6), 'tl');
+      tl.record({type:'resize', op:'resize', anchor:'tl', prev, next});
+      grid.loadJSON(next);
+    }
+  }
+}
+
+const snap = grid => JSON.stringify(grid.toJSON());
+
+test('undo to any point and redo back reproduces every intermediate map', () => {
+  const grid = new Core.GridModel(6, 6), tl = new Core.Timeline(grid), rng = Core.createRng('timeline');
+  tl.reset();
+  const states = [snap(grid)];
+  for(let k=0;k<80;k++){ scribble(grid, tl, rng, 1); if(tl.actions.length > states.length) states.push(snap(grid)); }
+  assert.equal(states.length, tl.actions.length);
+  for(let idx = tl.actions.length; idx >= 1; idx--){ tl.seek(idx); assert.equal(snap(grid), states[idx - 1], `undo to ${idx}`); }
+  for(let idx = 1; idx <= tl.actions.length; idx++){ tl.seek(idx); assert.equal(snap(grid), states[idx - 1], `redo to ${idx}`); }
+});
+
+test('long jumps restore from checkpoints and land on the same map as stepping', () => {
+  const grid = new Core.GridModel(8, 8), tl = new Core.Timeline(grid), rng = Core.createRng('checkpoints');
+  tl.reset();
+  scribble(grid, tl, rng, 120);
+  const end = snap(grid), n = tl.actions.length;
+  assert.ok(tl.checkpoints.size > 1, 'checkpoints were taken');
+  tl.seek(1);
+  assert.equal(snap(grid), JSON.stringify(tl.actions[0].snapshot));
+  tl.seek(n);
+  assert.equal(snap(grid), end);
+});
+
+test('a new edit after undo drops the redo tail', () => {
+  const grid = new Core.GridModel(2, 2), tl = new Core.Timeline(grid);
+  tl.reset();
+  tl.record({type:'set', r:0, c:0, prev:'', next:'🏠'}); grid.set(0, 0, '🏠');
+  tl.record({type:'set', r:0, c:1, prev:'', next:'🏢'}); grid.set(0, 1, '🏢');
+  tl.seek(2);
+  assert.ok(tl.canRedo());
+  tl.record({type:'set', r:1, c:1, prev:'', next:'🌳'}); grid.set(1, 1, '🌳');
+  assert.equal(tl.actions.length, 3);
+  assert.ok(!tl.canRedo());
+  assert.deepEqual(grid.cells, ['🏠', '', '', '🌳']);
+});
+
+test('strokes coalesce into one multi action on the active layer', () => {
+  const grid = new Core.GridModel(1, 4), tl = new Core.Timeline(grid);
+  tl.reset();
+  grid.active = 2;
+  tl.beginStroke();
+  for(const c of [0, 1, 1, 2]){ tl.record({type:'set', r:0, c, prev: grid.layerGet(0, c), next:'🚗'}); grid.set(0, c, '🚗'); }
+  tl.endStroke();
+  assert.equal(tl.actions.length, 2);
+  const stroke = tl.actions[1];
+  assert.equal(stroke.op, 'stroke');
+  assert.equal(stroke.layer, 2);
+  assert.equal(stroke.items.length, 3);
+  tl.seek(1);
+  assert.deepEqual(grid.cells, ['', '', '', '']);
+});
+
+test('replaySave rebuilds the saved map from its timeline', () => {
+  const grid = new Core.GridModel(5, 5), tl = new Core.Timeline(grid), rng = Core.createRng('replay');
+  tl.reset();
+  scribble(grid, tl, rng, 40);
+  const replayed = Core.replaySave({grid: grid.toJSON(), actions: tl.applied()});
+  assert.equal(snap(replayed), snap(grid));
+});
+
+test('a loaded timeline restores the level it started on when seeking back', () => {
+  let level = null;
+  const grid = new Core.GridModel(2, 2), hooks = {level: () => level, setLevel: id => { level = id; }};
+  const tl = new Core.Timeline(grid, hooks);
+  level = 'intro';
+  tl.reset();
+  tl.record({type:'set', r:0, c:0, prev:'', next:'🏠'}); grid.set(0, 0, '🏠');
+  tl.record({type:'setlevel', level: {id:'bridge', rows:2, cols:2}, prev: grid.toJSON(), prevLevel: level});
+  grid.loadJSON({rows:2, cols:2, cells:['', '', '', '']}); level = 'bridge';
+  const saved = tl.applied();
+
+  const loaded = new Core.Timeline(grid, hooks);
+  loaded.load(saved);
+  loaded.restoreTo(1);
+  assert.equal(level, 'intro');
+  assert.deepEqual(grid.cells, ['', '', '', '']);
+  loaded.seek(saved.length);
+  assert.equal(level, 'bridge');
+
+  // without a level change the base is the level in force at load
+  const plain = new Core.Timeline(grid, hooks);
+  plain.load(saved.slice(0, 2));
+  level = 'other';
+  plain.restoreTo(1);
+  assert.equal(level, 'bridge');
+});
@@ -0,0 +1,190 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Core = require('../core.js');
+
+// rows of tiles, one character per cell: h house, w office, = road, . empty, T tree
+const KEY = {h:'🏠', H:'🏘️', w:'🏢', '=':'🛣️', '.':'', T:'🌳'};
+function map(...rows){
+  const g = new Core.GridModel(rows.length, rows[0].length);
+  g.setCells([].concat(...rows.map(r => [...r].map(ch => KEY[ch]))));
+  return g;
+}
+function sim(grid, seed, opts={}){
+  const rng = Core.createRng(seed);
+  return new Core.TrafficSim(grid, Object.assign({random: () => rng.random('sim')}, opts));
+}
+function run(s, ticks, demand){
+  const log = [];
+  for(let t=0;t<ticks;t++){
+    s.spawn(demand);
+    const {arrived, gaveUp} = s.tick();
+    log.push({vehicles: s.snapshot(), arrived: arrived.map(v => [v.id, v.trip]), gaveUp: gaveUp.map(v => v.id)});
+  }
+  return log;
+}
+
+const town = () => map(
+  'h=.T..w',
+  '.=..T..',
+  'H====.w',
+  '.T.=..h',
+  'w..=TTH'
+);
+
+test('the same seed replays the same commute tick for tick', () => {
+  const a = run(sim(town(), 42), 120, 3), b = run(sim(town(), 42), 120, 3);
+  assert.deepEqual(a, b);
+  const c = run(sim(town(), 43), 120, 3);
+  assert.notDeepEqual(a, c, 'another seed picks other commuters');
+});
+
+test('reset restarts the same sequence only when the random stream does', () => {
+  const rng = Core.createRng(7);
+  const s = new Core.TrafficSim(town(), {random: () => rng.random('sim')});
+  const first = run(s, 40, 2);
+  rng.setSeed(7);
+  s.reset();
+  assert.deepEqual(run(s, 40, 2), first);
+});
+
+test('no cell ever holds more vehicles than its capacity', () => {
+  const s = sim(town(), 'capacity');
+  for(let t=0;t<200;t++){
+    s.spawn(6);
+    s.tick();
+    const counts = new Map();
+    for(const v of s.vehicles) counts.set(v.at, (counts.get(v.at) || 0) + 1);
+    for(const [i, n] of counts){
+      const info = Core.tileInfo(s.grid.cells[i]);
+      if(!info.passable) continue; // houses and workplaces park any number
+      assert.ok(n <= Math.max(1, info.capacity), `tick ${t}: ${n} vehicles on ${s.grid.cells[i] || 'empty'} cell ${i}`);
+    }
+    for(const [i, n] of s.occupancy) assert.equal(counts.get(i) || 0, n, `occupancy of cell ${i} is out of step`);
+  }
+});
+
+test('commuters queue behind a full lane and re-plan around it', () => {
+  // one-vehicle cells; the short lane along the top, a longer detour along the bottom
+  const g = map(
+    'H.....w',
+    '.TTTTT.',
+    '.......'
+  );
+  const s = sim(g, 'queue', {diagonal: false});
+  let queued = 0, detour = false;
+  for(let t=0;t<60;t++){
+    s.spawn(t < 20 ? 3 : 0);
+    s.tick();
+    queued = Math.max(queued, s.stats().queued);
+    if(s.vehicles.some(v => v.at >= 14)) detour = true;
+  }
+  const st = s.stats();
+  assert.ok(queued > 0, 'vehicles queued');
+  assert.ok(st.replans > 0, 're-planned');
+  assert.ok(detour, 'someone took the bottom road');
+  assert.equal(st.spawned, st.arrived + st.gaveUp + st.active);
+  assert.ok(st.arrived > 0 && st.avgTrip > 0 && st.throughput > 0);
+});
+
+test('new commuters reuse cached routes until an edit touches them', () => {
+  const g = town(), paths = new Core.AStar(g);
+  const s = sim(g, 'cache', {paths});
+  run(s, 30, 1); // one at a time: routes are rarely congested
+  const {hits, misses} = paths.stats;
+  assert.ok(hits > misses, `${hits} hits, ${misses} misses`);
+  const v = s.vehicles.find(x => x.path.length - x.step > 2);
+  const cell = v.path[v.step + 1];
+  g.set((cell / g.cols) | 0, cell % g.cols, '🌳');
+  s.reset();
+  for(let k=0;k<20;k++) for(const w of s.spawn(1)) assert.ok(!w.path.includes(cell), 'no route runs through the tree');
+});
+
+test('a vehicle whose next cell is built over re-plans at once', () => {
+  const g = map(
+    'h....w',
+    '......'
+  );
+  const s = sim(g, 'detour', {diagonal: false});
+  const [v] = s.spawn(1);
+  assert.ok(v, 'spawned');
+  s.tick();
+  const next = v.path[v.step + 1];
+  g.set((next / g.cols) | 0, next % g.cols, '🏭');
+  s.tick();
+  assert.ok(!v.path.includes(next), 'new route avoids the factory');
+  assert.equal(s.totals.replans, 1);
+});
+
+test('a commuter stuck for giveUpAfter ticks abandons the trip', () => {
+  const g = map('h.w');
+  const s = sim(g, 'stuck', {diagonal: false});
+  s.spawn(1);
+  s.tick();
+  g.set(0, 1, '🏭'); // no way round
+  let gaveUp = 0;
+  for(let t=0;t<Core.TRAFFIC.giveUpAfter + 1;t++) gaveUp += s.tick().gaveUp.length;
+  assert.equal(gaveUp, 1);
+  assert.equal(s.vehicles.length, 0);
+  assert.equal(s.occupancy.size, 0);
+});
+
+// stands in for the page's worker pool: answers on a later turn, records keys asked for and cancelled
+function router(fail=false){
+  const r = {asked: [], cancelled: [],
+    route(req){
+      r.asked.push(req.key);
+      if(fail) return Promise.reject(new Error('no worker'));
+      return Promise.resolve(Core.runPathfinder(req.algorithm, req.rows, req.cols, req.weights, req.start, req.goal, req.diagonal).path);
+    },
+    cancel(key){ r.cancelled.push(key); }
+  };
+  return r;
+}
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('with a router, commuters set off once their route comes back', async () => {
+  const r = router(), s = sim(town(), 'router', {router: r});
+  s.spawn(3);
+  assert.equal(s.stats().planning, 3);
+  assert.equal(s.stats().active, 0);
+  assert.deepEqual(r.asked, ['commute:1', 'commute:2', 'commute:3']);
+  await settle();
+  s.tick();
+  assert.equal(s.stats().planning, 0);
+  assert.equal(s.stats().spawned, 3);
+  // the answers were cached: the same trips now set off without asking
+  for(let t=0;t<40;t++){ s.spawn(2); await settle(); s.tick(); }
+  assert.ok(s.paths.stats.hits > 0);
+  const st = s.stats();
+  assert.equal(st.spawned, st.arrived + st.gaveUp + st.active);
+});
+
+test('a failing router makes the sim search inline', async () => {
+  const s = sim(town(), 'router-fail', {router: router(true)});
+  s.spawn(4);
+  await settle();
+  s.tick();
+  assert.equal(s.stats().planning, 0);
+  assert.equal(s.stats().spawned, 4);
+});
+
+test('re-plans go through the router under the vehicle key; reset cancels what is in flight', async () => {
+  const g = map(
+    'H.....w',
+    '.TTTTT.',
+    '.......'
+  );
+  const r = router(), s = sim(g, 'router-queue', {diagonal: false, router: r});
+  for(let t=0;t<40;t++){ s.spawn(t < 20 ? 3 : 0); await settle(); s.tick(); }
+  assert.ok(s.stats().replans > 0);
+  s.paths.cache.clear();
+  s.spawn(3);
+  const pending = s.planning.map(v => s.routeKey(v));
+  assert.ok(pending.length);
+  s.reset();
+  for(const key of pending) assert.ok(r.cancelled.includes(key), `${key} cancelled`);
+  await settle();
+  s.tick();
+  assert.equal(s.stats().active, 0, 'answers from before the reset are dropped');
+});
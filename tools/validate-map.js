@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/* validate-map.js - check Emojiton save/export files without a browser
+   usage: node tools/validate-map.js <map.json> [more.json ...]
+   - the file must parse and pass readSave(): schema version, field types, and a timeline whose
+     replay reproduces the saved grid; older versions are migrated first and noted
+   - when the save names a level, its objectives are evaluated
+   - houses with no path to any workplace are reported as warnings
+   exit code 1 when any file has an error
+*/
+'use strict';
+const fs = require('fs');
+const Core = require('../core.js');
+
+// start each file from the built-in tile table, then layer the save's own metadata on top
+function resetTiles(map){
+  for(const k of Object.keys(Core.tiles)) delete Core.tiles[k];
+  Object.assign(Core.tiles, Core.defaultTiles);
+  Core.applyTiles(map);
+}
+
+function houseReach(grid, diagonal){
+  const reach = Core.workReach(grid.rows, grid.cols, grid.cells, diagonal);
+  let houses = 0, works = 0;
+  const stranded = [];
+  grid.cells.forEach((v, i) => {
+    if(Core.isWork(v)) works++;
+    if(!Core.isHouse(v)) return;
+    houses++;
+    if(!reach[i]) stranded.push({r: Math.floor(i / grid.cols), c: i % grid.cols});
+  });
+  return {houses, works, stranded};
+}
+
+function validate(file){
+  const errors = [], notes = [];
+  let raw, save;
+  try { raw = JSON.parse(fs.readFileSync(file, 'utf8')); save = Core.readSave(raw); }
+  catch(e){
+    errors.push(e instanceof Core.MapFormatError ? e.message : `unreadable: ${e.message}`);
+    return {errors, notes};
+  }
+  resetTiles(save.tiles);
+  const grid = new Core.GridModel(1, 1);
+  grid.loadJSON(save.grid);
+  const from = raw.version === undefined ? 1 : raw.version;
+  notes.push(`${grid.rows}×${grid.cols}, ${grid.cells.filter(Boolean).length} tiles, ${save.actions.length} actions, format v${from}${from < save.version ? ` (migrated to v${save.version})` : ''}`);
+  if(save.grid.layers) notes.push(`layers: ${grid.layers.map(l => `${l.name} ${l.cells.filter(Boolean).length}`).join(', ')}`);
+
+  const levelId = save.mode && save.mode.level;
+  const def = levelId && Core.LEVELS.find(l => l.id === levelId);
+  if(levelId && !def) errors.push(`unknown level "${levelId}"`);
+  if(def) for(const o of Core.Objectives.evaluate(def, grid)) notes.push(`${def.name}: ${o.text}${o.done ? ' ✓' : ''}`);
+
+  const reach = houseReach(grid, true);
+  notes.push(`${reach.houses} houses, ${reach.works} workplaces`);
+  if(reach.houses && reach.stranded.length) notes.push(`warning: ${reach.stranded.length} houses cannot reach a workplace (first at ${reach.stranded[0].r},${reach.stranded[0].c})`);
+  return {errors, notes};
+}
+
+const files = process.argv.slice(2);
+if(!files.length){
+  console.error('usage: node tools/validate-map.js <map.json> [more.json ...]');
+  process.exit(2);
+}
+let failed = 0;
+for(const file of files){
+  const {errors, notes} = validate(file);
+  console.log(`${errors.length ? 'FAIL' : 'ok  '} ${file}`);
+  for(const n of notes) console.log(`     ${n}`);
+  for(const e of errors) console.log(`     error: ${e}`);
+  if(errors.length) failed++;
+}
+process.exit(failed ? 1 : 0);